@@ -0,0 +1,87 @@
+// ============================================================
+// TIPSY AF — Checks on AI drafts before an agent sees them
+// validateDraft() fixes what can be fixed safely (dashes, the sign-off)
+// and flags the rest: length, order / tracking numbers that aren't in
+// the data we gave Claude, and refunds or discounts no policy backs.
+// Offers are matched in English, Spanish and French.
+// ============================================================
+
+const DRAFT_MAX_WORDS = 220;
+const DRAFT_MAX_PARAGRAPHS = 5;
+const ORDER_NUMBER_RE = /#\d{3,}\b/g;
+// UPS 1Z..., USPS / FedEx / DHL long digit runs, and other carrier-style codes with plenty of digits
+const TRACKING_NUMBER_RE = /\b(?:1Z[0-9A-Z]{16}|\d{12,22}|[A-Z]{2}\d{9}[A-Z]{2}|(?=[A-Z0-9]*\d{8})[A-Z0-9]{12,30})\b/g;
+// English, Spanish and French, since drafts follow the customer's language (tickets.language)
+const REFUND_OFFER_RE = /\b(?:refund(?:ed|ing)?|money back|reimburs\w*|store credit|reembols\w*|devoluci[oó]n (?:del|de su|de tu) dinero|cr[eé]dito en tienda|rembours\w*|bon d'achat)\b/i;
+const DISCOUNT_OFFER_RE = /\b(?:discount|coupon|promo code|\d{1,2}\s?% (?:off|de descuento|de r[eé]duction)|free (?:can|pack|case|order|shipping)|descuento|cup[oó]n|c[oó]digo promocional|env[ií]o gratis|r[eé]duction|remise|code promo|livraison gratuite)\b/i;
+const OFFER_PERCENT_RE = /(\d{1,2})\s?% (?:off|de descuento|de r[eé]duction)/i;
+// "we can't refund this order" / "no podemos reembolsar" / "nous ne pouvons pas rembourser" are refusals, not offers
+const OFFER_NEGATION_RE = /\b(?:not|no|never|cannot|can't|can not|won't|unable|isn't|aren't|don't|doesn't|ineligible|nunca|ning[uú]n\w*|ne|n'|pas|jamais|aucun\w*)\b[^.!?\n]{0,40}$/i;
+
+// First mention of re in text that isn't negated earlier in its sentence, or null
+function findOffer(text, re) {
+  const all = new RegExp(re.source, re.flags.includes('g') ? re.flags : re.flags + 'g');
+  for (const m of text.matchAll(all)) {
+    const before = text.slice(0, m.index).split(/[.!?\n]/).pop();
+    if (!OFFER_NEGATION_RE.test(before)) return m;
+  }
+  return null;
+}
+
+function validateDraft(draft, { signature, knownText = '', kbEntries = [] }) {
+  const warnings = [];
+  let text = draft.trim();
+
+  // Em / en dashes, and hyphens standing in for them between words.
+  // Number ranges ("5 - 10 business days", "5–10") keep their meaning as a plain hyphen.
+  const dashed = text
+    .replace(/(\d)\s*[\u2014\u2013]\s*(\d)/g, '$1-$2')
+    .replace(/\s*[\u2014\u2013]\s*/g, ', ')
+    .replace(/(\w) - (\w)/g, (m, a, b) => (/\d/.test(a) && /\d/.test(b) ? m : `${a}, ${b}`));
+  if (dashed !== text) {
+    text = dashed.replace(/,\s*,/g, ',').replace(/,\s*([.!?])/g, '$1');
+    warnings.push({ code: 'dashes', message: 'Replaced dashes with commas', fixed: true });
+  }
+
+  // Sign-off: drop whatever partial sign-off is there and put the real one on
+  if (!text.endsWith(signature)) {
+    const sigLines = signature.split('\n').map(l => l.trim().toLowerCase());
+    const lines = text.split('\n');
+    while (lines.length && (!lines[lines.length - 1].trim() || sigLines.includes(lines[lines.length - 1].trim().toLowerCase()))) lines.pop();
+    // Keep a closing like "Cheers," directly above the signature
+    const closing = /^\w+(?: \w+){0,2},$/.test((lines[lines.length - 1] || '').trim());
+    text = `${lines.join('\n').trimEnd()}${closing ? '\n' : '\n\n'}${signature}`;
+    warnings.push({ code: 'signature', message: 'Added the missing sign-off', fixed: true });
+  }
+
+  const body = text.slice(0, text.length - signature.length).trim();
+  const words = body.split(/\s+/).filter(Boolean).length;
+  const paragraphs = body.split(/\n\s*\n/).filter(p => p.trim()).length;
+  if (words > DRAFT_MAX_WORDS || paragraphs > DRAFT_MAX_PARAGRAPHS) {
+    warnings.push({ code: 'too_long', message: `Draft is ${words} words in ${paragraphs} paragraphs (aim for under ${DRAFT_MAX_WORDS} words, ${DRAFT_MAX_PARAGRAPHS} paragraphs)`, fixed: false });
+  }
+
+  const known = knownText.toUpperCase();
+  const unknownOrders = [...new Set(body.match(ORDER_NUMBER_RE) || [])].filter(n => !known.includes(n));
+  if (unknownOrders.length) {
+    warnings.push({ code: 'unknown_order', message: `Order number${unknownOrders.length > 1 ? 's' : ''} ${unknownOrders.join(', ')} not found in this customer's Shopify orders`, fixed: false });
+  }
+  const unknownTracking = [...new Set(body.toUpperCase().match(TRACKING_NUMBER_RE) || [])].filter(n => !known.includes(n));
+  if (unknownTracking.length) {
+    warnings.push({ code: 'unknown_tracking', message: `Tracking number${unknownTracking.length > 1 ? 's' : ''} ${unknownTracking.join(', ')} not found in the Shopify data`, fixed: false });
+  }
+
+  const policyText = kbEntries.filter(e => e.category === 'policy').map(e => `${e.title}\n${e.content}`).join('\n');
+  if (findOffer(body, REFUND_OFFER_RE) && !REFUND_OFFER_RE.test(policyText)) {
+    warnings.push({ code: 'unbacked_refund', message: 'Mentions a refund or credit, but no refund policy was in the knowledge used for this draft', fixed: false });
+  }
+  const discount = findOffer(body, DISCOUNT_OFFER_RE);
+  const percent = body.match(OFFER_PERCENT_RE);
+  if (discount && (!DISCOUNT_OFFER_RE.test(policyText) || (percent && !new RegExp(`\\b${percent[1]}\\s?%`).test(policyText)))) {
+    warnings.push({ code: 'unbacked_discount', message: `Offers "${discount[0]}", which isn't backed by a discount policy in the knowledge base`, fixed: false });
+  }
+
+  return { draft: text, warnings };
+}
+
+module.exports = { validateDraft, findOffer, DRAFT_MAX_WORDS, DRAFT_MAX_PARAGRAPHS };
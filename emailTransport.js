@@ -0,0 +1,109 @@
+// ============================================================
+// TIPSY AF — Outbound email transports
+// One send(msg) shape for every driver, picked with EMAIL_TRANSPORT:
+//   sendgrid — @sendgrid/mail (production; the only driver that reports
+//              delivery events back, see /webhook/sendgrid-events)
+//   smtp     — any SMTP relay via nodemailer (SMTP_HOST, SMTP_PORT, ...)
+//   file     — writes each message as a .eml file to EMAIL_FILE_DIR so
+//              staging can see exactly what would have gone out
+// ============================================================
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const TRANSPORTS = ['sendgrid', 'smtp', 'file'];
+
+// msg: { to, from: { email, name }, subject, text, html, replyTo, headers,
+//        messageId, inReplyTo, references: [], customArgs }
+
+// ---- SendGrid ----
+function createSendgridTransport({ apiKey }) {
+  const sgMail = require('@sendgrid/mail');
+  if (apiKey) sgMail.setApiKey(apiKey);
+  return {
+    name: 'sendgrid',
+    async send(msg) {
+      if (!apiKey) throw new Error('SENDGRID_API_KEY not configured');
+      const out = {
+        to: msg.to,
+        from: msg.from,
+        subject: msg.subject,
+        text: msg.text || '',
+        html: msg.html || msg.text || '',
+      };
+      if (msg.replyTo) out.replyTo = msg.replyTo;
+      const headers = { ...(msg.headers || {}) };
+      if (msg.messageId) headers['Message-ID'] = msg.messageId;
+      if (msg.inReplyTo) headers['In-Reply-To'] = msg.inReplyTo;
+      if (msg.references && msg.references.length) headers['References'] = msg.references.join(' ');
+      if (Object.keys(headers).length) out.headers = headers;
+      // Echoed back on every delivery event
+      if (msg.customArgs) out.customArgs = msg.customArgs;
+      const [response] = await sgMail.send(out);
+      return { id: response?.headers?.['x-message-id'] || null };
+    },
+  };
+}
+
+// nodemailer takes the threading headers as first-class options
+function toNodemailerMessage(msg) {
+  return {
+    to: msg.to,
+    from: { address: msg.from.email, name: msg.from.name },
+    subject: msg.subject,
+    text: msg.text || '',
+    html: msg.html || msg.text || '',
+    replyTo: msg.replyTo || undefined,
+    headers: msg.headers || {},
+    messageId: msg.messageId || undefined,
+    inReplyTo: msg.inReplyTo || undefined,
+    references: msg.references && msg.references.length ? msg.references : undefined,
+  };
+}
+
+// ---- SMTP ----
+function createSmtpTransport({ host, port, secure, user, pass }) {
+  const transporter = host && nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+  return {
+    name: 'smtp',
+    async send(msg) {
+      if (!transporter) throw new Error('SMTP_HOST not configured');
+      const info = await transporter.sendMail(toNodemailerMessage(msg));
+      return { id: info.messageId };
+    },
+  };
+}
+
+// ---- File sink ----
+function createFileTransport({ dir }) {
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  return {
+    name: 'file',
+    async send(msg) {
+      const info = await transporter.sendMail(toNodemailerMessage(msg));
+      await fs.promises.mkdir(dir, { recursive: true });
+      const slug = String(msg.to).toLowerCase().replace(/[^a-z0-9]+/g, '-').slice(0, 40);
+      const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${slug}.eml`);
+      await fs.promises.writeFile(file, info.message);
+      return { id: info.messageId, file };
+    },
+  };
+}
+
+// ---- createTransport(name, config) ----
+function createTransport(name, config = {}) {
+  switch (name) {
+    case 'sendgrid': return createSendgridTransport(config.sendgrid || {});
+    case 'smtp': return createSmtpTransport(config.smtp || {});
+    case 'file': return createFileTransport(config.file || {});
+    default: throw new Error(`Unknown EMAIL_TRANSPORT "${name}" (expected ${TRANSPORTS.join(', ')})`);
+  }
+}
+
+module.exports = { createTransport, TRANSPORTS };
@@ -0,0 +1,70 @@
+// ============================================================
+// TIPSY AF — Knowledge base retrieval for AI drafting
+// A small in-memory BM25 index over knowledge_base rows. Titles count
+// double, common English filler words are ignored, and words are lightly
+// stemmed so "refunds" / "refunded" / "refund" match each other.
+// ============================================================
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const TITLE_WEIGHT = 2;
+
+const STOP_WORDS = new Set(`a about after again all also am an and any are as at be because been before being but by can could did do does doing don't for from get got had has have having he her here hers him his how i i'm if in into is it it's its just me my no not now of off on once only or our out over own please same she should so some such than thank thanks that the their them then there these they this those through to too under until up very was we were what when where which while who why will with would you your yours hi hey hello`.split(/\s+/));
+
+function stem(word) {
+  if (word.length <= 4) return word;
+  return word
+    .replace(/(?:ies)$/, 'y')
+    .replace(/(?:ing|ed|es|s)$/, '')
+    .replace(/(.)\1$/, '$1'); // shipped -> shipp -> ship
+}
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '') // "envío" -> "envio", not "env o"
+    .replace(/[^a-z0-9'\s]+/g, ' ')
+    .split(/\s+/)
+    .map(w => w.replace(/^'+|'+$/g, ''))
+    .filter(w => w.length > 1 && !STOP_WORDS.has(w))
+    .map(stem);
+}
+
+// ---- buildIndex(entries) ----
+// entries: [{ id, title, content, ... }]. Returns an index for search().
+function buildIndex(entries) {
+  const docs = entries.map(entry => {
+    const tokens = [];
+    for (let i = 0; i < TITLE_WEIGHT; i++) tokens.push(...tokenize(entry.title));
+    tokens.push(...tokenize(entry.content));
+    const tf = new Map();
+    for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+    return { entry, tf, length: tokens.length };
+  });
+  const df = new Map();
+  for (const d of docs) for (const t of d.tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1);
+  return { docs, df, avgLength };
+}
+
+// ---- search(index, query, limit) ----
+// Returns [{ entry, score }] best first, only entries sharing a term with the query.
+function search(index, query, limit = 5) {
+  const terms = [...new Set(tokenize(query))];
+  const N = index.docs.length;
+  const results = [];
+  for (const d of index.docs) {
+    let score = 0;
+    for (const t of terms) {
+      const f = d.tf.get(t);
+      if (!f) continue;
+      const n = index.df.get(t);
+      const idf = Math.log(1 + (N - n + 0.5) / (n + 0.5));
+      score += idf * (f * (BM25_K1 + 1)) / (f + BM25_K1 * (1 - BM25_B + BM25_B * d.length / index.avgLength));
+    }
+    if (score > 0) results.push({ entry: d.entry, score });
+  }
+  return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+module.exports = { buildIndex, search, tokenize };
@@ -0,0 +1,31 @@
+// ============================================================
+// TIPSY AF — Language detection for inbound customer messages
+// A quick stop-word count for the languages we support (English,
+// Spanish, French), plus accented letters, which only count for the
+// language that uses them. Deliberately conservative: a short or mixed
+// message comes back null rather than a guess.
+// ============================================================
+
+const LANGUAGE_HINTS = {
+  en: ['the', 'and', 'is', 'my', 'you', 'to', 'of', 'it', 'for', 'have', 'was', 'this', 'that', 'with', 'order', 'not', 'please', 'thanks', 'hi', 'can', 'would'],
+  es: ['el', 'la', 'los', 'las', 'de', 'que', 'y', 'en', 'mi', 'por', 'para', 'es', 'con', 'no', 'pedido', 'hola', 'gracias', 'está', 'una', 'un', 'pero', 'quiero', 'puedo', 'cuando'],
+  fr: ['le', 'la', 'les', 'de', 'des', 'et', 'est', 'je', 'mon', 'ma', 'pour', 'pas', 'que', 'vous', 'une', 'un', 'commande', 'bonjour', 'merci', 'avec', 'mais', 'suis', 'nous', "j'ai"],
+};
+const LANGUAGE_MARKS = { es: /[ñ¿¡]/g, fr: /[çèêëàâîôûœ]/g };
+const LANGUAGE_MIN_HITS = 3;
+
+// Returns 'en' | 'es' | 'fr', or null when there isn't enough to go on
+function detectLanguage(text) {
+  const words = String(text || '').toLowerCase().split(/[^a-zà-ÿœ']+/).filter(Boolean);
+  const scores = {};
+  for (const [lang, hints] of Object.entries(LANGUAGE_HINTS)) {
+    const set = new Set(hints);
+    const marks = LANGUAGE_MARKS[lang] ? (String(text || '').match(LANGUAGE_MARKS[lang]) || []).length : 0;
+    scores[lang] = words.filter(w => set.has(w)).length + marks * 2;
+  }
+  const [[best, top], [, second]] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  if (top < LANGUAGE_MIN_HITS || top < second * 1.5) return null;
+  return best;
+}
+
+module.exports = { detectLanguage };
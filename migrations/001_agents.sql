@@ -0,0 +1,28 @@
+-- user-001: agent accounts and login sessions
+-- Passwords are scrypt hashes ("scrypt$<salt>$<hash>"); sessions store a
+-- sha256 of the bearer token, never the token itself.
+
+create extension if not exists pgcrypto;
+
+create table if not exists agents (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  email text not null unique,
+  password_hash text not null,
+  role text not null default 'agent' check (role in ('admin', 'agent', 'read_only')),
+  signature text,
+  is_active boolean not null default true,
+  last_login_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists agent_sessions (
+  id uuid primary key default gen_random_uuid(),
+  agent_id uuid not null references agents(id) on delete cascade,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists agent_sessions_agent_id_idx on agent_sessions (agent_id);
@@ -0,0 +1,14 @@
+-- user-002: log of webhook calls rejected by signature/replay checks
+-- (GET /api/webhooks/rejections).
+
+create table if not exists webhook_rejections (
+  id uuid primary key default gen_random_uuid(),
+  source text not null,
+  reason text not null,
+  ip text,
+  user_agent text,
+  path text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists webhook_rejections_created_at_idx on webhook_rejections (created_at desc);
@@ -0,0 +1,22 @@
+-- user-003: inbound email attachments
+-- storage is 'supabase' (bucket ATTACHMENT_BUCKET) or 'local' (ATTACHMENT_DIR);
+-- storage_key is the path inside it.
+
+create table if not exists attachments (
+  id uuid primary key default gen_random_uuid(),
+  ticket_id uuid not null references tickets(id) on delete cascade,
+  message_id uuid references messages(id) on delete cascade,
+  filename text not null,
+  content_type text not null,
+  size integer not null,
+  storage text not null default 'supabase' check (storage in ('supabase', 'local')),
+  storage_key text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists attachments_ticket_id_idx on attachments (ticket_id, created_at);
+
+-- Private bucket for the default ATTACHMENT_BUCKET; downloads go through the API
+insert into storage.buckets (id, name, public)
+values ('attachments', 'attachments', false)
+on conflict (id) do nothing;
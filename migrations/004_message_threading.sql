@@ -0,0 +1,7 @@
+-- user-004: RFC 5322 Message-ID of every emailed message, used to thread
+-- inbound replies via In-Reply-To/References.
+
+alter table messages add column if not exists email_message_id text;
+
+create index if not exists messages_email_message_id_idx on messages (email_message_id)
+  where email_message_id is not null;
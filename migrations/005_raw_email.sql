@@ -0,0 +1,4 @@
+-- user-005: original MIME source of inbound emails, kept so reply extraction
+-- can be re-run or debugged. messages.content holds the extracted reply.
+
+alter table messages add column if not exists raw_email text;
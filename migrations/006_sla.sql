@@ -0,0 +1,26 @@
+-- user-006: SLA policies and per-ticket first-response/resolution timers
+-- A policy's null priority/purpose/channel matches anything; the most specific
+-- active match wins, and DEFAULT_SLA in server.js applies when none match.
+
+create table if not exists sla_policies (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  priority text,
+  purpose text,
+  channel text,
+  first_response_minutes integer not null check (first_response_minutes > 0),
+  resolution_minutes integer not null check (resolution_minutes > 0),
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table tickets add column if not exists sla_policy_id uuid references sla_policies(id) on delete set null;
+alter table tickets add column if not exists first_response_due_at timestamptz;
+alter table tickets add column if not exists first_response_at timestamptz;
+-- Reopening restarts the resolution clock from resolution_started_at
+alter table tickets add column if not exists resolution_started_at timestamptz;
+alter table tickets add column if not exists resolution_due_at timestamptz;
+alter table tickets add column if not exists resolved_at timestamptz;
+alter table tickets add column if not exists sla_at_risk_at timestamptz;
+alter table tickets add column if not exists sla_breached_at timestamptz;
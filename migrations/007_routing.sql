@@ -0,0 +1,23 @@
+-- user-007: ticket assignment and routing
+-- Rules are tried in sort_order; a null purpose/channel matches anything.
+-- Unmatched tickets go round-robin to the least recently assigned agent
+-- with accepts_tickets.
+
+alter table agents add column if not exists accepts_tickets boolean not null default true;
+alter table agents add column if not exists last_assigned_at timestamptz;
+
+alter table tickets add column if not exists assignee_id uuid references agents(id) on delete set null;
+create index if not exists tickets_assignee_id_idx on tickets (assignee_id);
+
+create table if not exists routing_rules (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  purpose text,
+  channel text,
+  agent_id uuid not null references agents(id) on delete cascade,
+  sort_order integer not null default 100,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (purpose is not null or channel is not null)
+);
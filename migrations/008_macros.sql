@@ -0,0 +1,15 @@
+-- user-008: canned replies with {{placeholders}} and optional actions
+-- (set status, set priority, add_tags) applied with the reply.
+
+create table if not exists macros (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  content text not null,
+  actions jsonb not null default '{}'::jsonb,
+  created_by uuid references agents(id) on delete set null,
+  is_active boolean not null default true,
+  usage_count integer not null default 0,
+  last_used_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
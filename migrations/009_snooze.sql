@@ -0,0 +1,9 @@
+-- user-009: ticket snooze. All three columns are cleared together on wake.
+
+alter table tickets add column if not exists snoozed_at timestamptz;
+alter table tickets add column if not exists snoozed_until timestamptz;
+alter table tickets add column if not exists snoozed_by uuid references agents(id) on delete set null;
+
+-- The wake-up job scans for snoozes that are due
+create index if not exists tickets_snoozed_until_idx on tickets (snoozed_until)
+  where snoozed_at is not null;
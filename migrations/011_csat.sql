@@ -0,0 +1,10 @@
+-- user-011: CSAT survey sent on resolve, 1-5 rating and optional comment
+
+alter table tickets add column if not exists csat_sent_at timestamptz;
+alter table tickets add column if not exists csat_score smallint check (csat_score between 1 and 5);
+alter table tickets add column if not exists csat_rated_at timestamptz;
+alter table tickets add column if not exists csat_comment text;
+
+-- CSAT reports filter on the survey date
+create index if not exists tickets_csat_sent_at_idx on tickets (csat_sent_at)
+  where csat_sent_at is not null;
@@ -0,0 +1,11 @@
+-- user-012: trigram indexes so the ilike '%term%' filters behind
+-- GET /api/tickets?search= don't scan whole tables.
+
+create extension if not exists pg_trgm;
+
+create index if not exists tickets_subject_trgm_idx on tickets using gin (subject gin_trgm_ops);
+create index if not exists tickets_ai_summary_trgm_idx on tickets using gin (ai_summary gin_trgm_ops);
+create index if not exists messages_content_trgm_idx on messages using gin (content gin_trgm_ops);
+create index if not exists notes_content_trgm_idx on notes using gin (content gin_trgm_ops);
+create index if not exists customers_name_trgm_idx on customers using gin (name gin_trgm_ops);
+create index if not exists customers_email_trgm_idx on customers using gin (email gin_trgm_ops);
@@ -0,0 +1,3 @@
+-- user-013: keyset pagination of GET /api/tickets walks (updated_at, id) descending
+
+create index if not exists tickets_updated_at_id_idx on tickets (updated_at desc, id desc);
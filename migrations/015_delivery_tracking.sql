@@ -0,0 +1,27 @@
+-- user-015: SendGrid event webhook. Every event is kept in email_events
+-- (deduplicated on sg_event_id); the latest status is copied onto the message,
+-- and hard bounces flag the customer.
+
+create table if not exists email_events (
+  id uuid primary key default gen_random_uuid(),
+  sg_event_id text unique,
+  sg_message_id text,
+  message_id uuid references messages(id) on delete set null,
+  ticket_id uuid references tickets(id) on delete cascade,
+  event text not null,
+  email text,
+  reason text,
+  bounce_type text,
+  occurred_at timestamptz not null,
+  raw jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists email_events_message_id_idx on email_events (message_id);
+
+alter table messages add column if not exists delivery_status text;
+alter table messages add column if not exists delivery_reason text;
+alter table messages add column if not exists delivery_updated_at timestamptz;
+
+alter table customers add column if not exists email_bounced_at timestamptz;
+alter table customers add column if not exists email_bounce_reason text;
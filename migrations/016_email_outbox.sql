@@ -0,0 +1,31 @@
+-- user-016: outbound email queue. Rows move pending -> sending -> sent, or to
+-- dead after OUTBOX_MAX_ATTEMPTS / a permanent error; dead rows can be resent.
+
+create table if not exists email_outbox (
+  id uuid primary key default gen_random_uuid(),
+  kind text not null default 'other',
+  status text not null default 'pending' check (status in ('pending', 'sending', 'sent', 'dead')),
+  ticket_id uuid references tickets(id) on delete cascade,
+  message_id uuid references messages(id) on delete set null,
+  to_email text not null,
+  subject text not null,
+  text_body text not null default '',
+  html_body text not null default '',
+  reply_to text,
+  headers jsonb not null default '{}'::jsonb,
+  message_id_header text,
+  in_reply_to text,
+  references_header jsonb not null default '[]'::jsonb,
+  custom_args jsonb,
+  attempts integer not null default 0,
+  last_error text,
+  next_attempt_at timestamptz,
+  sent_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- The worker polls for due pending rows
+create index if not exists email_outbox_due_idx on email_outbox (next_attempt_at)
+  where status = 'pending';
+create index if not exists email_outbox_status_idx on email_outbox (status, updated_at desc);
@@ -0,0 +1,4 @@
+-- user-018: triage result for new tickets
+-- { source: 'ai' | 'keywords', confidence, language, at, ... }
+
+alter table tickets add column if not exists ai_triage jsonb;
@@ -0,0 +1,11 @@
+-- user-019: thread summaries regenerated in the background. New messages set
+-- summary_stale; failures back off via summary_retry_at and stop after
+-- SUMMARY_MAX_FAILURES in a row. A successful run or a new message resets both.
+
+alter table tickets add column if not exists ai_summary_at timestamptz;
+alter table tickets add column if not exists summary_stale boolean not null default false;
+alter table tickets add column if not exists summary_failures integer not null default 0;
+alter table tickets add column if not exists summary_retry_at timestamptz;
+
+create index if not exists tickets_summary_stale_idx on tickets (updated_at)
+  where summary_stale;
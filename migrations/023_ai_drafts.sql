@@ -0,0 +1,28 @@
+-- user-023: every AI draft an agent generates, linked to the reply it became
+-- so edit distance/similarity can be measured, and the review queue's
+-- approve/reject decision (approved drafts become knowledge_base examples).
+
+create table if not exists ai_drafts (
+  id uuid primary key default gen_random_uuid(),
+  ticket_id uuid not null references tickets(id) on delete cascade,
+  agent_id uuid references agents(id) on delete set null,
+  context text,
+  content text not null,
+  warnings jsonb not null default '[]'::jsonb,
+  kb_entry_ids uuid[] not null default '{}',
+  model text,
+  sent_message_id uuid references messages(id) on delete set null,
+  sent_at timestamptz,
+  edit_distance integer,
+  similarity numeric(4, 3),
+  outcome text,
+  review_status text check (review_status in ('approved', 'rejected')),
+  reviewed_by uuid references agents(id) on delete set null,
+  reviewed_at timestamptz,
+  kb_entry_id uuid references knowledge_base(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists ai_drafts_ticket_id_idx on ai_drafts (ticket_id);
+create index if not exists ai_drafts_sent_at_idx on ai_drafts (sent_at desc)
+  where sent_message_id is not null;
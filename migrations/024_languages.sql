@@ -0,0 +1,7 @@
+-- user-024: ISO 639-1 language of customer messages, the ticket's current
+-- language (follows the customer's latest message), and an English
+-- translation for agents: { language, from, text, at }.
+
+alter table messages add column if not exists language text;
+alter table messages add column if not exists translation jsonb;
+alter table tickets add column if not exists language text;
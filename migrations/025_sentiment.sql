@@ -0,0 +1,19 @@
+-- user-025: per-message sentiment { score, label, threats, source }, the
+-- ticket's latest score/label and trend, the customer's running average, and
+-- the escalation stamp for angry or threatening customers.
+
+alter table messages add column if not exists sentiment jsonb;
+
+alter table tickets add column if not exists sentiment_score numeric(3, 2);
+alter table tickets add column if not exists sentiment_label text;
+alter table tickets add column if not exists sentiment_trend text check (sentiment_trend in ('improving', 'steady', 'worsening'));
+alter table tickets add column if not exists escalated_at timestamptz;
+alter table tickets add column if not exists escalation_reason text;
+
+alter table customers add column if not exists sentiment_score numeric(3, 2);
+alter table customers add column if not exists sentiment_trend text check (sentiment_trend in ('improving', 'steady', 'worsening'));
+
+-- GET /api/tickets?sentiment= filters on these
+create index if not exists tickets_sentiment_label_idx on tickets (sentiment_label);
+create index if not exists tickets_escalated_at_idx on tickets (escalated_at)
+  where escalated_at is not null;
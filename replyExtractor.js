@@ -0,0 +1,177 @@
+// ============================================================
+// TIPSY AF — Reply extraction for inbound email
+// Pulls just the customer's new text out of an email: drops quoted
+// history (Gmail, Apple Mail, Outlook, Yahoo, mobile clients),
+// signatures and "Sent from my iPhone" footers. HTML-only mail is
+// trimmed at the quote container first, then converted to text.
+// ============================================================
+
+const { simpleParser } = require('mailparser');
+const { convert } = require('html-to-text');
+
+// ---- HTML quote containers, cut everything from the first one on ----
+const HTML_QUOTE_MARKERS = [
+  /<div[^>]+class="[^"]*gmail_quote[^"]*"/i,           // Gmail web + mobile
+  /<blockquote[^>]+type="cite"/i,                       // Apple Mail / iOS
+  /<div[^>]+id="(?:appendonsend|divRplyFwdMsg)"/i,      // Outlook web / 365
+  /<hr[^>]+id="stopSpelling"/i,                         // Outlook.com
+  /<div[^>]+class="[^"]*(?:yahoo_quoted|ydp[\w]*yahoo_quoted)[^"]*"/i, // Yahoo
+  /<div[^>]+style="[^"]*border-top:\s*solid\s*#[A-F0-9]{6}\s*1\.0pt[^"]*"/i, // Outlook desktop
+  /<blockquote[^>]+class="[^"]*protonmail_quote/i,      // Proton
+];
+
+// ---- Plain-text reply headers (line-based) ----
+const REPLY_HEADER_PATTERNS = [
+  /^On\s.{1,250}\swrote:\s*$/i,                 // Gmail / Apple: On Mon, Jan 1 ... wrote:
+  /^Le\s.{1,250}\sa\s+écrit\s*:\s*$/i,          // French
+  /^El\s.{1,250}\sescribió:\s*$/i,              // Spanish
+  /^Am\s.{1,250}\sschrieb.{0,100}:\s*$/i,       // German
+  /^Op\s.{1,250}\sschreef.{0,100}:\s*$/i,       // Dutch
+  /^-{2,}\s*Original Message\s*-{2,}\s*$/i,     // Outlook / generic
+  /^_{10,}\s*$/,                                // Outlook divider above From:/Sent:
+];
+
+const FORWARD_PATTERNS = [
+  /^-{2,}\s*Forwarded message\s*-{2,}\s*$/i,    // Gmail
+  /^Begin forwarded message:\s*$/i,             // Apple Mail
+];
+
+// Only stripped from the very end of the message, where clients put them
+const MOBILE_FOOTERS = [
+  /^Sent from my (iPhone|iPad|Android|Samsung|Galaxy|BlackBerry|mobile|phone)\b.{0,60}$/i,
+  /^Sent from (Yahoo Mail|Mail for Windows|Outlook|AOL)\b.{0,60}$/i,
+  /^Get Outlook for (iOS|Android)\b.{0,20}$/i,
+  /^Sent via the Samsung (Galaxy|Internet)\b.{0,80}$/i,
+];
+
+function htmlToText(html) {
+  return convert(html || '', {
+    wordwrap: false,
+    selectors: [
+      { selector: 'a', options: { ignoreHref: true } },
+      { selector: 'img', format: 'skip' },
+    ],
+  });
+}
+
+// Outlook desktop blocks: "From: ..." followed within a few lines by "Sent:"/"Date:" and "To:"/"Subject:".
+// Only quoted history when the customer wrote something above it; a body that
+// opens with the block (pasted headers, forwarded without a marker) is kept whole.
+function isOutlookHeaderBlock(lines, i) {
+  if (!/^\*?From:\*?\s/i.test(lines[i])) return false;
+  if (!lines.slice(0, i).some(l => l.trim())) return false;
+  const window = lines.slice(i + 1, i + 6).join('\n');
+  return /^\*?(Sent|Date):\*?\s/im.test(window) && /^\*?(To|Subject):\*?\s/im.test(window);
+}
+
+function findQuoteStart(lines) {
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (REPLY_HEADER_PATTERNS.some(re => re.test(line))) return i;
+    // "On ... <x@y.com>" wrapped onto two lines
+    if (/^On\s/i.test(line) && lines[i + 1] && /^\s*wrote:\s*$/i.test(lines[i + 1])) return i;
+    if (isOutlookHeaderBlock(lines, i)) return i;
+    // A trailing run of ">" lines is quoted history
+    if (line.startsWith('>') && lines.slice(i).every(l => !l.trim() || l.trim().startsWith('>'))) return i;
+  }
+  return -1;
+}
+
+function findForwardStart(lines) {
+  return lines.findIndex(l => FORWARD_PATTERNS.some(re => re.test(l.trim())));
+}
+
+function stripSignature(lines) {
+  // RFC 3676 delimiter is "-- " but clients often drop the space
+  let cut = lines.findIndex(l => /^--\s*$/.test(l));
+  if (cut === -1) cut = lines.length;
+  // Mobile footers: only the last non-blank lines, never mid-message
+  for (let i = cut - 1; i >= 0; i--) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    if (!MOBILE_FOOTERS.some(re => re.test(line))) break;
+    cut = i;
+  }
+  return { lines: lines.slice(0, cut), stripped: cut < lines.length };
+}
+
+function tidy(text) {
+  return text
+    .replace(/\r\n/g, '\n')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// ---- extractReply({ text, html }) ----
+// Returns { body, quoteStripped, signatureStripped, forwarded, source }
+function extractReply({ text, html } = {}) {
+  let source = 'text';
+  let raw = text || '';
+  let quoteStripped = false;
+
+  if (!raw.trim() && html) {
+    source = 'html';
+    let trimmed = html;
+    for (const re of HTML_QUOTE_MARKERS) {
+      const m = trimmed.match(re);
+      if (m) { trimmed = trimmed.slice(0, m.index); quoteStripped = true; }
+    }
+    raw = htmlToText(trimmed);
+  }
+
+  let lines = raw.replace(/\r\n/g, '\n').split('\n');
+
+  // Forwards keep the forwarded content (it's usually the point), minus quote markers
+  const forwardAt = findForwardStart(lines);
+  const quoteAt = findQuoteStart(lines);
+  const forwarded = forwardAt !== -1 && (quoteAt === -1 || forwardAt < quoteAt);
+
+  if (forwarded) {
+    const { lines: note } = stripSignature(lines.slice(0, forwardAt));
+    const fwd = lines.slice(forwardAt).map(l => l.replace(/^>\s?/, ''));
+    return {
+      body: tidy([...note, '', ...fwd].join('\n')),
+      quoteStripped,
+      signatureStripped: false,
+      forwarded: true,
+      source,
+    };
+  }
+
+  if (quoteAt !== -1) {
+    lines = lines.slice(0, quoteAt);
+    quoteStripped = true;
+  }
+  // Any stray inline quote lines left above the cut
+  lines = lines.filter(l => !l.trim().startsWith('>'));
+
+  const sig = stripSignature(lines);
+  const body = tidy(sig.lines.join('\n'));
+
+  return { body, quoteStripped, signatureStripped: sig.stripped, forwarded: false, source };
+}
+
+// ---- parseRawEmail(raw) ----
+// For SendGrid's "POST the raw, full MIME message" mode (the `email` field).
+// Returns the pieces the inbound handler needs in the same shape as parsed fields.
+async function parseRawEmail(raw) {
+  // Without skipHtmlToText mailparser fills `text` for HTML-only mail with its own
+  // conversion, quotes and all, and extractReply never gets to trim the HTML
+  const parsed = await simpleParser(raw, { skipHtmlToText: true });
+  return {
+    from: parsed.from?.text || '',
+    to: parsed.to?.text || '',
+    subject: parsed.subject || '',
+    text: parsed.text || '',
+    html: parsed.html || '',
+    headers: (parsed.headerLines || []).map(h => h.line).join('\n'),
+    attachments: (parsed.attachments || []).map(a => ({
+      filename: a.filename || 'attachment',
+      contentType: (a.contentType || 'application/octet-stream').toLowerCase(),
+      buffer: a.content,
+    })),
+  };
+}
+
+module.exports = { extractReply, parseRawEmail, htmlToText };
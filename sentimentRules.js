@@ -0,0 +1,76 @@
+// ============================================================
+// TIPSY AF — Rule-based sentiment for customer messages
+// What we fall back on when Claude isn't available: a small word list
+// for the score, and first-person threat patterns ("I'm going to file a
+// chargeback", "I've called my bank") that skip mere mentions ("I won't
+// do a chargeback", "5 star review").
+// ============================================================
+
+const SENTIMENT_LABELS = ['angry', 'negative', 'neutral', 'positive'];
+const SENTIMENT_NEGATIVE = -0.25;
+const SENTIMENT_SHARP_NEGATIVE = -0.6;
+
+// Builds "I/we + will/am going to/... | am ...ing | have ...ed + action", with at most
+// two filler words ("I'll have to file") and never "not"/"never" in between
+function threatPattern({ future, ongoing, done }) {
+  const filler = String.raw`(?:\s+(?!not\b|never\b)[\w']+){0,2}?`;
+  const subject = String.raw`\b(?:i|we)`;
+  return new RegExp([
+    String.raw`${subject}\s*(?:'ll|'m going to|'m gonna|'re going to|will|am going to|are going to|am gonna|plan to|intend to|am about to|have no choice but to)${filler}\s+(?:${future}|${ongoing})`,
+    String.raw`${subject}\s*(?:'m|'re|am|are)${filler}\s+(?:${ongoing})`,
+    String.raw`${subject}(?:'ve|\s+have|\s+had)?\s+(?:already\s+|just\s+)?(?:${done})`,
+  ].join('|'), 'i');
+}
+
+const BANK = String.raw`(?:my|the) (?:bank|credit card(?: company)?|card issuer)`;
+const BAD_REVIEW = String.raw`(?:\w+\s+){0,2}(?:bad|negative|terrible|horrible|awful|scathing|honest but brutal|1[- ]star|one[- ]star|0[- ]star|zero[- ]star) reviews?`;
+const SENTIMENT_THREATS = {
+  chargeback: threatPattern({
+    future: String.raw`(?:file|open|do|start|request|put in) (?:a )?(?:charge ?back|dispute)|dispute (?:the|this|my|it)|(?:call|contact) ${BANK}`,
+    ongoing: String.raw`(?:filing|opening|starting) (?:a )?(?:charge ?back|dispute)|disputing (?:the|this|my|it)|(?:calling|contacting) ${BANK}`,
+    done: String.raw`(?:filed|opened|started) (?:a )?(?:charge ?back|dispute)|disputed (?:the|this|my|it)|(?:called|contacted) ${BANK}`,
+  }),
+  public_review: threatPattern({
+    future: String.raw`(?:leave|write|post|give)(?: you)? ${BAD_REVIEW}|report (?:you|this|your company) to the (?:bbb|better business bureau)|(?:warn|tell) (?:everyone|others|people)|expose you`,
+    ongoing: String.raw`(?:leaving|writing|posting) ${BAD_REVIEW}|reporting (?:you|this|your company) to the (?:bbb|better business bureau)`,
+    done: String.raw`(?:left|wrote|posted) ${BAD_REVIEW}|reported (?:you|this|your company) to the (?:bbb|better business bureau)`,
+  }),
+  legal: threatPattern({
+    future: String.raw`sue|take (?:legal action|you to (?:small claims )?court)|(?:call|contact|get|involve) (?:my|a) (?:lawyer|attorney)`,
+    ongoing: String.raw`suing|taking (?:legal action|you to (?:small claims )?court)|(?:calling|contacting) (?:my|a) (?:lawyer|attorney)`,
+    done: String.raw`(?:called|contacted|hired) (?:my|a) (?:lawyer|attorney)|filed (?:in|a claim in) small claims`,
+  }),
+};
+const THREAT_TYPES = Object.keys(SENTIMENT_THREATS);
+const SENTIMENT_NEGATIVE_WORDS = ['disappoint', 'terrible', 'awful', 'worst', 'angry', 'furious', 'ridiculous', 'unacceptable', 'scam', 'never again', 'not working', "doesn't work", 'broken', 'still waiting', 'horrible', 'useless', 'rude', 'frustrat', 'waste', 'upset', 'annoyed', 'fed up'];
+const SENTIMENT_POSITIVE_WORDS = ['love', 'amazing', 'obsessed', 'great', 'thank', 'awesome', 'perfect', 'happy', 'delicious', 'appreciate', 'fantastic', 'best'];
+
+function sentimentLabel(score) {
+  if (score <= SENTIMENT_SHARP_NEGATIVE) return 'angry';
+  if (score <= SENTIMENT_NEGATIVE) return 'negative';
+  if (score >= 0.3) return 'positive';
+  return 'neutral';
+}
+
+function keywordSentiment(text) {
+  const t = String(text || '').toLowerCase();
+  const neg = SENTIMENT_NEGATIVE_WORDS.filter(w => t.includes(w)).length + detectThreats(t).length;
+  const pos = SENTIMENT_POSITIVE_WORDS.filter(w => t.includes(w)).length;
+  const score = Math.max(-1, Math.min(1, (pos - neg) / Math.max(3, pos + neg)));
+  return { score: Math.round(score * 100) / 100, label: sentimentLabel(score), source: 'keywords' };
+}
+
+function detectThreats(text) {
+  const t = String(text || '').replace(/[\u2018\u2019]/g, "'");
+  return Object.entries(SENTIMENT_THREATS).filter(([, re]) => re.test(t)).map(([type]) => type);
+}
+
+module.exports = {
+  SENTIMENT_LABELS,
+  SENTIMENT_NEGATIVE,
+  SENTIMENT_SHARP_NEGATIVE,
+  THREAT_TYPES,
+  sentimentLabel,
+  keywordSentiment,
+  detectThreats,
+};
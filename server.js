@@ -11,14 +11,24 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
 const { createClient } = require('@supabase/supabase-js');
+const { extractReply, parseRawEmail } = require('./replyExtractor');
+const { createTransport } = require('./emailTransport');
+const kbRetrieval = require('./kbRetrieval');
+const { detectLanguage } = require('./languageDetection');
+const { SENTIMENT_LABELS, SENTIMENT_SHARP_NEGATIVE, THREAT_TYPES, sentimentLabel, keywordSentiment, detectThreats } = require('./sentimentRules');
+const { validateDraft } = require('./draftValidator');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Keep the raw bytes around so webhook signatures can be checked
+const keepRawBody = (req, res, buf) => { req.rawBody = buf; };
+app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: keepRawBody }));
 
 // Serve dashboard at /dashboard
 app.use('/dashboard', express.static(path.join(__dirname, 'public')));
@@ -59,37 +69,60 @@ async function loopAPI(endpoint, method = 'GET', body = null) {
   return res.json();
 }
 
-// ---- SendGrid Config ----
-const sgMail = require('@sendgrid/mail');
+// ---- Email Transport Config ----
+// EMAIL_TRANSPORT=sendgrid (default)|smtp|file. The file driver only writes
+// .eml files to EMAIL_FILE_DIR and is never picked implicitly: a missing
+// SendGrid key fails every send, so it shows up in the outbox instead.
 const SENDGRID_API_KEY = process.env.SENDGRID_API_KEY;
-if (SENDGRID_API_KEY) {
-  sgMail.setApiKey(SENDGRID_API_KEY);
-  console.log('📧 SendGrid configured');
-}
+const EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT || 'sendgrid';
+// Messages "sent" through the file driver are recorded as file_only, not sent
+const EMAIL_IS_LIVE = EMAIL_TRANSPORT !== 'file';
+const EMAIL_FILE_DIR = process.env.EMAIL_FILE_DIR || path.join(require('os').tmpdir(), 'tipsyaf-mail');
+const mailTransport = createTransport(EMAIL_TRANSPORT, {
+  sendgrid: { apiKey: SENDGRID_API_KEY },
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+  },
+  file: { dir: EMAIL_FILE_DIR },
+});
+if (EMAIL_TRANSPORT === 'file') console.warn(`⚠️ Email transport is "file" — outbound mail is written to ${EMAIL_FILE_DIR}, not sent`);
+else if (EMAIL_TRANSPORT === 'sendgrid' && !SENDGRID_API_KEY) console.error('⛔ SENDGRID_API_KEY not set: every outbound email will fail. Set it, or choose EMAIL_TRANSPORT=smtp|file');
+else if (EMAIL_TRANSPORT === 'smtp' && !process.env.SMTP_HOST) console.error('⛔ SMTP_HOST not set: every outbound email will fail');
+else console.log(`📧 Email transport: ${EMAIL_TRANSPORT}`);
 const FROM_EMAIL = process.env.FROM_EMAIL || 'hey@gettipsyaf.com';
 const FROM_NAME = process.env.FROM_NAME || 'TIPSY AF Support';
 
-// Send email via SendGrid
-async function sendEmail({ to, subject, text, html, replyTo, headers }) {
-  if (!SENDGRID_API_KEY) {
-    console.log('⚠️ SendGrid not configured, skipping email send');
-    return null;
-  }
+// Stable RFC 5322 Message-ID for outbound mail, e.g. <TIX-1234.9f1c...@gettipsyaf.com>
+const MESSAGE_ID_DOMAIN = FROM_EMAIL.split('@')[1] || 'gettipsyaf.com';
+function generateMessageId(ticketId) {
+  return `<${ticketId || 'msg'}.${crypto.randomUUID()}@${MESSAGE_ID_DOMAIN}>`;
+}
+
+// Send email through the configured transport (see emailTransport.js)
+async function sendEmail({ to, subject, text, html, replyTo, headers, messageId, inReplyTo, references, customArgs }) {
   const msg = {
     to,
     from: { email: FROM_EMAIL, name: FROM_NAME },
     subject,
     text: text || '',
     html: html || text || '',
+    replyTo,
+    headers,
+    messageId,
+    inReplyTo,
+    references: references || [],
+    customArgs,
   };
-  if (replyTo) msg.replyTo = replyTo;
-  if (headers) msg.headers = headers;
   try {
-    const result = await sgMail.send(msg);
-    console.log(`📧 Email sent to ${to}: ${subject}`);
+    const result = await mailTransport.send(msg);
+    console.log(`📧 Email ${result.file ? 'written to ' + result.file : 'sent to ' + to}: ${subject}`);
     return result;
   } catch (err) {
-    console.error('❌ SendGrid error:', err.response?.body || err.message);
+    console.error(`❌ ${mailTransport.name} error:`, err.response?.body || err.message);
     throw err;
   }
 }
@@ -121,6 +154,44 @@ function emailTemplate(bodyHTML, ticketId) {
 </body></html>`;
 }
 
+// ---- Attachment Storage Config ----
+// ATTACHMENT_STORE=supabase (Storage bucket) or local (disk under ATTACHMENT_DIR)
+const ATTACHMENT_STORE = process.env.ATTACHMENT_STORE === 'local' ? 'local' : 'supabase';
+const ATTACHMENT_BUCKET = process.env.ATTACHMENT_BUCKET || 'attachments';
+const ATTACHMENT_DIR = process.env.ATTACHMENT_DIR || path.join(__dirname, 'data', 'attachments');
+const ATTACHMENT_MAX_BYTES = parseInt(process.env.ATTACHMENT_MAX_MB || '10', 10) * 1024 * 1024;
+const ATTACHMENT_TYPES = [
+  'image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic', 'image/heif',
+  'application/pdf', 'text/plain', 'text/csv',
+];
+const PREVIEWABLE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf', 'text/plain'];
+
+const attachmentStores = {
+  supabase: {
+    async put(key, buffer, contentType) {
+      const { error } = await supabase.storage.from(ATTACHMENT_BUCKET).upload(key, buffer, { contentType, upsert: false });
+      if (error) throw error;
+    },
+    async get(key) {
+      const { data, error } = await supabase.storage.from(ATTACHMENT_BUCKET).download(key);
+      if (error) throw error;
+      return Buffer.from(await data.arrayBuffer());
+    },
+  },
+  local: {
+    async put(key, buffer) {
+      const file = path.join(ATTACHMENT_DIR, key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+    async get(key) {
+      return fs.promises.readFile(path.join(ATTACHMENT_DIR, key));
+    },
+  },
+};
+const attachmentStore = attachmentStores[ATTACHMENT_STORE];
+console.log(`📎 Attachments stored in ${ATTACHMENT_STORE === 'local' ? ATTACHMENT_DIR : 'Supabase bucket "' + ATTACHMENT_BUCKET + '"'}`);
+
 async function shopifyAPI(endpoint, params = {}) {
   if (!SHOPIFY_TOKEN) throw new Error('SHOPIFY_ACCESS_TOKEN not configured');
   const qs = new URLSearchParams(params).toString();
@@ -165,6 +236,7 @@ function generateAutoTags(purpose, message) {
   return [...new Set(tags)];
 }
 
+// Placeholder until the summaries job writes a real one (see AI SUMMARIES)
 function generateSummary(purpose, message, name) {
   // Quick 20-word-max summary from the actual message
   const clean = message.replace(/\s+/g, ' ').trim();
@@ -177,8 +249,7 @@ function determinePriority(purpose, message) {
   if (msg.includes('urgent') || msg.includes('asap') || msg.includes('immediately')) return 'urgent';
   if (purpose === 'Returns & Refunds' || msg.includes('refund') || msg.includes('cancel')) return 'high';
   if (purpose === 'Billing' || purpose === 'Shipping & Delivery') return 'high';
-  if (purpose === 'Wholesale' || purpose === 'Partnership') return 'medium';
-  return 'medium';
+  return 'normal';
 }
 
 function generateTagsFromNote(noteContent) {
@@ -200,29 +271,224 @@ function generateTagsFromNote(noteContent) {
   return [...new Set(tags)];
 }
 
-async function callClaude(systemPrompt, userMessage, maxTokens = 1024) {
+// Pass an AbortSignal (e.g. AbortSignal.timeout(ms)) to give up on the request.
+async function callClaude(systemPrompt, userMessage, maxTokens = 1024, { signal } = {}) {
   if (!ANTHROPIC_API_KEY) throw new Error('ANTHROPIC_API_KEY not configured');
   const response = await fetch('https://api.anthropic.com/v1/messages', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json', 'x-api-key': ANTHROPIC_API_KEY, 'anthropic-version': '2023-06-01' },
     body: JSON.stringify({ model: CLAUDE_MODEL, max_tokens: maxTokens, system: systemPrompt, messages: [{ role: 'user', content: userMessage }] }),
+    signal,
   });
   if (!response.ok) { const err = await response.text(); throw new Error(`Claude API error ${response.status}: ${err}`); }
   const data = await response.json();
   return data.content[0].text;
 }
 
-async function loadKnowledgeBase() {
-  const { data, error } = await supabase.from('knowledge_base').select('category, title, content').eq('is_active', true).order('priority', { ascending: false });
-  if (error) { console.error('Failed to load KB:', error); return ''; }
+// Streaming variant: calls onText(chunk) for each text delta, resolves with the full text.
+// Pass an AbortSignal to cancel mid-stream.
+async function streamClaude(systemPrompt, userMessage, { maxTokens = 1024, signal, onText } = {}) {
+  if (!ANTHROPIC_API_KEY) throw new Error('ANTHROPIC_API_KEY not configured');
+  const response = await fetch('https://api.anthropic.com/v1/messages', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-api-key': ANTHROPIC_API_KEY, 'anthropic-version': '2023-06-01' },
+    body: JSON.stringify({ model: CLAUDE_MODEL, max_tokens: maxTokens, system: systemPrompt, messages: [{ role: 'user', content: userMessage }], stream: true }),
+    signal,
+  });
+  if (!response.ok) { const err = await response.text(); throw new Error(`Claude API error ${response.status}: ${err}`); }
+
+  const decoder = new TextDecoder();
+  let buffer = '', text = '';
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const frame = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const data = frame.split('\n').filter(l => l.startsWith('data:')).map(l => l.slice(5).trim()).join('');
+      if (!data) continue;
+      const evt = JSON.parse(data);
+      if (evt.type === 'content_block_delta' && evt.delta?.type === 'text_delta') {
+        text += evt.delta.text;
+        if (onText) onText(evt.delta.text);
+      } else if (evt.type === 'error') {
+        throw new Error(`Claude stream error: ${evt.error?.message || 'unknown'}`);
+      }
+    }
+  }
+  return text;
+}
+
+function formatKnowledgeBase(entries) {
   const sections = {};
-  for (const item of data) { if (!sections[item.category]) sections[item.category] = []; sections[item.category].push(`### ${item.title}\n${item.content}`); }
+  for (const item of entries) { if (!sections[item.category]) sections[item.category] = []; sections[item.category].push(`### ${item.title}\n${item.content}`); }
   const labels = { brand_voice: 'BRAND VOICE & TONE', product: 'PRODUCT KNOWLEDGE', policy: 'POLICIES & PROCEDURES', launch: 'UPCOMING LAUNCHES & PROMOS', example_response: 'EXAMPLE RESPONSES' };
   let kb = '';
   for (const [cat, items] of Object.entries(sections)) { kb += `\n## ${labels[cat] || cat.toUpperCase()}\n\n${items.join('\n\n')}\n`; }
   return kb;
 }
 
+// ---- Shopify customer profile + orders + subscription info ----
+// Shared by /api/shopify/customer and macro interpolation. Also syncs
+// order count / LTV back onto our customer record.
+async function lookupShopifyCustomer(email) {
+  // Search customer by email
+  const custData = await shopifyAPI('customers/search', { query: `email:${email}`, fields: 'id,email,first_name,last_name,phone,orders_count,total_spent,tags,note,created_at,metafields' });
+  const customers = custData.customers || [];
+
+  if (customers.length === 0) {
+    return { found: false };
+  }
+
+  const c = customers[0];
+
+  // Get orders for this customer
+  const orderData = await shopifyAPI('orders', {
+    customer_id: c.id,
+    status: 'any',
+    limit: 20,
+    fields: 'id,name,created_at,total_price,financial_status,fulfillment_status,fulfillments,line_items,tags,note,cancelled_at,refunds',
+    order: 'created_at desc',
+  });
+  const orders = (orderData.orders || []).map(o => {
+    // Extract fulfillment/tracking info
+    const fulfillments = (o.fulfillments || []).map(f => ({
+      status: f.status,
+      carrier: f.tracking_company || null,
+      trackingNumber: f.tracking_number || null,
+      trackingUrl: f.tracking_url || null,
+      updatedAt: f.updated_at,
+    }));
+
+    // Extract product/flavor info from line items
+    const items = (o.line_items || []).map(li => ({
+      title: li.title,
+      variant: li.variant_title || null,
+      quantity: li.quantity,
+      price: li.price,
+      sku: li.sku || null,
+    }));
+
+    // Detect subscription orders from tags
+    const tags = (o.tags || '').toLowerCase();
+    const isSubscription = tags.includes('subscription') || tags.includes('loop') || tags.includes('recurring');
+
+    // Calculate total already refunded
+    let totalRefunded = 0;
+    if (o.refunds && o.refunds.length > 0) {
+      for (const refund of o.refunds) {
+        for (const tx of (refund.transactions || [])) {
+          if (tx.kind === 'refund' && tx.status === 'success') {
+            totalRefunded += parseFloat(tx.amount || '0');
+          }
+        }
+      }
+    }
+    const refundableAmount = Math.max(0, parseFloat(o.total_price) - totalRefunded);
+
+    return {
+      id: o.id,
+      name: o.name,
+      createdAt: o.created_at,
+      total: o.total_price,
+      financialStatus: o.financial_status,
+      fulfillmentStatus: o.fulfillment_status || 'unfulfilled',
+      cancelled: !!o.cancelled_at,
+      fulfillments,
+      items,
+      isSubscription,
+      tags: o.tags || '',
+      totalRefunded: totalRefunded.toFixed(2),
+      refundableAmount: refundableAmount.toFixed(2),
+    };
+  });
+
+  // Calculate stats
+  const totalOrders = c.orders_count || orders.length;
+  const totalSpent = parseFloat(c.total_spent || '0');
+  const avgOrderValue = totalOrders > 0 ? (totalSpent / totalOrders).toFixed(2) : '0.00';
+
+  // Detect subscription status from orders and tags
+  const customerTags = (c.tags || '').toLowerCase();
+  const subOrders = orders.filter(o => o.isSubscription);
+  let subscriptionStatus = 'none';
+  if (customerTags.includes('active subscriber') || customerTags.includes('active_subscriber')) {
+    subscriptionStatus = 'active';
+  } else if (customerTags.includes('cancelled subscriber') || customerTags.includes('cancelled_subscriber')) {
+    subscriptionStatus = 'cancelled';
+  } else if (customerTags.includes('paused subscriber') || customerTags.includes('paused_subscriber')) {
+    subscriptionStatus = 'paused';
+  } else if (subOrders.length > 0) {
+    // Has subscription orders but no tag — check recency
+    const lastSub = subOrders[0];
+    const daysSinceLast = (Date.now() - new Date(lastSub.createdAt).getTime()) / (1000 * 60 * 60 * 24);
+    subscriptionStatus = daysSinceLast < 45 ? 'active' : 'lapsed';
+  }
+
+  // Extract all flavors/products purchased
+  const productsPurchased = {};
+  for (const o of orders) {
+    for (const item of o.items) {
+      const key = item.variant ? `${item.title} - ${item.variant}` : item.title;
+      productsPurchased[key] = (productsPurchased[key] || 0) + item.quantity;
+    }
+  }
+
+  // Try to get Loop metafields from customer
+  let loopData = null;
+  try {
+    const metaRes = await shopifyAPI(`customers/${c.id}/metafields`);
+    const metafields = metaRes.metafields || [];
+    const loopFields = metafields.filter(m => m.namespace === 'loop' || m.namespace === 'loop_subscriptions');
+    if (loopFields.length > 0) {
+      loopData = {};
+      for (const f of loopFields) {
+        loopData[f.key] = f.value;
+      }
+    }
+  } catch (e) {
+    // Metafields may not be available, that's ok
+  }
+
+  // Update our Supabase customer record with Shopify data
+  const { data: ourCustomer } = await supabase
+    .from('customers')
+    .select('id')
+    .eq('email', email.toLowerCase())
+    .single();
+
+  if (ourCustomer) {
+    await supabase.from('customers').update({
+      shopify_customer_id: c.id.toString(),
+      shopify_order_count: totalOrders,
+      shopify_ltv: totalSpent,
+      updated_at: new Date().toISOString(),
+    }).eq('id', ourCustomer.id);
+  }
+
+  return {
+    found: true,
+    customer: {
+      shopifyId: c.id,
+      name: `${c.first_name || ''} ${c.last_name || ''}`.trim(),
+      email: c.email,
+      phone: c.phone,
+      tags: c.tags,
+      note: c.note,
+      createdAt: c.created_at,
+      totalOrders,
+      totalSpent: totalSpent.toFixed(2),
+      avgOrderValue,
+      subscriptionStatus,
+      loopData,
+      productsPurchased,
+    },
+    orders,
+    recentOrder: orders.length > 0 ? orders[0] : null,
+  };
+}
+
+
 // ---- Fuzzy name matching helper ----
 function normalizeName(name) {
   return name.toLowerCase().trim().replace(/[^a-z ]/g, '').replace(/\s+/g, ' ');
@@ -350,6 +616,138 @@ async function findOrCreateCustomer(email, phone, fullName) {
   return { customer: newCustomer, matchType: 'new', isNew: true };
 }
 
+// ---- Persist inbound attachments and link them to a message ----
+async function saveAttachments(files, ticketId, messageId) {
+  const saved = [];
+  for (const f of files) {
+    const safeName = (f.filename || 'attachment').replace(/[^\w.\-]+/g, '_').slice(-100);
+    const key = `${ticketId}/${messageId}/${crypto.randomUUID()}-${safeName}`;
+    try {
+      await attachmentStore.put(key, f.buffer, f.contentType);
+      const { data, error } = await supabase.from('attachments').insert({
+        ticket_id: ticketId,
+        message_id: messageId,
+        filename: f.filename || safeName,
+        content_type: f.contentType,
+        size: f.buffer.length,
+        storage: ATTACHMENT_STORE,
+        storage_key: key,
+      }).select().single();
+      if (error) throw error;
+      saved.push(data);
+    } catch (err) {
+      console.error(`❌ Failed to store attachment ${f.filename}:`, err.message);
+    }
+  }
+  return saved;
+}
+
+function formatAttachment(a) {
+  return {
+    id: a.id,
+    filename: a.filename,
+    contentType: a.content_type,
+    size: a.size,
+    previewable: PREVIEWABLE_TYPES.includes(a.content_type),
+    url: `/api/attachments/${a.id}`,
+    previewUrl: PREVIEWABLE_TYPES.includes(a.content_type) ? `/api/attachments/${a.id}/preview` : null,
+  };
+}
+
+// ---- Agent signature (falls back to name + team line) ----
+function agentSignature(agent) {
+  if (agent?.signature && agent.signature.trim()) return agent.signature.trim();
+  return `${agent?.name || 'Lauren'}\nTIPSY AF Support`;
+}
+
+// ---- Status / priority changes (shared by the PATCH routes and macros) ----
+const TICKET_STATUSES = ['open', 'pending', 'resolved', 'closed'];
+const TICKET_PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
+async function updateTicketStatus(ticket, status) {
+  // A manual status change overrides any snooze
+  const updates = { status, ...(ticket.snoozed_at ? SNOOZE_CLEAR : {}), updated_at: new Date().toISOString() };
+  // Resolution clock stops on resolve/close and restarts on reopen
+  if (status === 'resolved' || status === 'closed') {
+    if (!ticket.resolved_at) updates.resolved_at = updates.updated_at;
+  } else if (ticket.resolved_at) {
+    Object.assign(updates, await reopenSlaFields(ticket));
+  } else {
+    updates.resolved_at = null;
+  }
+  const { error } = await supabase.from('tickets').update(updates).eq('id', ticket.id);
+  if (error) throw error;
+  publishEvent('ticket.status', { ticketId: ticket.ticket_id, status });
+  return updates;
+}
+
+async function updateTicketPriority(ticket, priority) {
+  // New priority means new SLA targets, still measured from when the clocks started
+  const slaFields = await slaFieldsForTicket({ priority, purpose: ticket.purpose, channel: ticket.channel }, ticket.created_at, ticket.resolution_started_at);
+  // A breach that is still a breach under the new targets keeps its stamp;
+  // otherwise checkSlaBreaches would re-escalate it to urgent on its next run
+  const { firstResponse, resolution } = computeSla({ ...ticket, ...slaFields });
+  const running = [firstResponse, resolution].filter(t => t && !t.completedAt);
+  if (ticket.sla_breached_at && running.some(t => t.breached)) slaFields.sla_breached_at = ticket.sla_breached_at;
+  if (ticket.sla_at_risk_at && running.some(t => t.breached || t.atRisk)) slaFields.sla_at_risk_at = ticket.sla_at_risk_at;
+  const updates = { priority, ...slaFields, updated_at: new Date().toISOString() };
+  const { error } = await supabase.from('tickets').update(updates).eq('id', ticket.id);
+  if (error) throw error;
+  publishEvent('ticket.updated', { ticketId: ticket.ticket_id, changes: { priority } });
+  return updates;
+}
+
+// ---- Email header parsing (SendGrid passes the raw header block as `headers`) ----
+function parseEmailHeaders(raw) {
+  const headers = {};
+  const unfolded = (raw || '').replace(/\r?\n[ \t]+/g, ' ');
+  for (const line of unfolded.split(/\r?\n/)) {
+    const idx = line.indexOf(':');
+    if (idx <= 0) continue;
+    const key = line.slice(0, idx).trim().toLowerCase();
+    if (!(key in headers)) headers[key] = line.slice(idx + 1).trim();
+  }
+  return headers;
+}
+
+function extractMessageIds(value) {
+  return (value || '').match(/<[^<>\s]+>/g) || [];
+}
+
+// ---- Find ticket by Message-ID chain (In-Reply-To first, then References newest-first) ----
+async function findTicketByMessageIds(messageIds) {
+  if (!messageIds.length) return null;
+  const { data } = await supabase
+    .from('messages')
+    .select('ticket_id, email_message_id')
+    .in('email_message_id', messageIds);
+  if (!data || data.length === 0) return null;
+  const hit = messageIds.map(id => data.find(m => m.email_message_id === id)).find(Boolean);
+  const { data: ticket } = await supabase
+    .from('tickets')
+    .select('*, customer:customers(*)')
+    .eq('id', hit.ticket_id)
+    .single();
+  return ticket || null;
+}
+
+// ---- Outbound threading headers for a ticket ----
+// In-Reply-To points at the latest customer email; References carries the thread
+async function threadingHeadersForTicket(ticketDbId) {
+  const { data } = await supabase
+    .from('messages')
+    .select('sender_type, email_message_id, created_at')
+    .eq('ticket_id', ticketDbId)
+    .not('email_message_id', 'is', null)
+    .order('created_at', { ascending: true });
+  const ids = (data || []).map(m => m.email_message_id);
+  const lastCustomer = (data || []).filter(m => m.sender_type === 'customer').pop();
+  return {
+    inReplyTo: lastCustomer ? lastCustomer.email_message_id : ids[ids.length - 1] || null,
+    references: ids.slice(-10),
+  };
+}
+
 // ---- Find open ticket for reply threading ----
 async function findOpenTicketForCustomer(customerId) {
   const { data } = await supabase
@@ -372,9 +770,443 @@ app.get('/', (req, res) => {
 });
 
 
+// ============================================================
+// AGENTS & AUTH
+// ============================================================
+// Agents log in with email + password and get a bearer token.
+// Tokens are stored hashed in agent_sessions; every /api route below
+// this section requires one. Roles: admin > agent > read_only.
+
+const AGENT_ROLES = ['admin', 'agent', 'read_only'];
+const SESSION_TTL_DAYS = parseInt(process.env.SESSION_TTL_DAYS || '14', 10);
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const candidate = crypto.scryptSync(password, salt, 64);
+  const expected = Buffer.from(hash, 'hex');
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function publicAgent(agent) {
+  return {
+    id: agent.id,
+    name: agent.name,
+    email: agent.email,
+    role: agent.role,
+    signature: agentSignature(agent),
+    isActive: agent.is_active !== false,
+    acceptsTickets: agent.accepts_tickets !== false,
+  };
+}
+
+async function createSession(agent) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const { error } = await supabase.from('agent_sessions').insert({
+    agent_id: agent.id,
+    token_hash: hashToken(token),
+    expires_at: expiresAt,
+  });
+  if (error) throw error;
+  await supabase.from('agents').update({ last_login_at: new Date().toISOString() }).eq('id', agent.id);
+  return { token, expiresAt };
+}
+
+function bearerToken(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  return null;
+}
+
+// EventSource can't set headers, so the event stream authenticates with a
+// short-lived, single-use ?stream_token= from GET /api/events/token instead of
+// putting the session token in URLs (and proxy/access logs).
+const STREAM_TOKEN_TTL_MS = 60 * 1000;
+const streamTokens = new Map(); // token -> { sessionId, expiresAt }
+
+function issueStreamToken(sessionId) {
+  const now = Date.now();
+  for (const [t, entry] of streamTokens) if (entry.expiresAt < now) streamTokens.delete(t);
+  const token = crypto.randomBytes(24).toString('base64url');
+  streamTokens.set(token, { sessionId, expiresAt: now + STREAM_TOKEN_TTL_MS });
+  return token;
+}
+
+// Session id for a valid stream token on GET /api/events, else null. Consumes the token.
+function takeStreamToken(req) {
+  if (req.method !== 'GET' || req.originalUrl.split('?')[0] !== '/api/events' || !req.query.stream_token) return null;
+  const token = String(req.query.stream_token);
+  const entry = streamTokens.get(token);
+  streamTokens.delete(token);
+  return entry && entry.expiresAt >= Date.now() ? entry.sessionId : null;
+}
+
+// ---- Middleware: resolve the session and attach req.agent ----
+async function requireAuth(req, res, next) {
+  const token = bearerToken(req);
+  const streamSessionId = token ? null : takeStreamToken(req);
+  if (!token && !streamSessionId) return res.status(401).json({ error: 'Authentication required' });
+  try {
+    const { data: session } = await supabase
+      .from('agent_sessions')
+      .select('id, expires_at, agent:agents(*)')
+      .eq(token ? 'token_hash' : 'id', token ? hashToken(token) : streamSessionId)
+      .single();
+    if (!session || !session.agent || session.agent.is_active === false || new Date(session.expires_at) < new Date()) {
+      return res.status(401).json({ error: 'Session expired or invalid' });
+    }
+    req.agent = session.agent;
+    req.sessionId = session.id;
+    // Read-only agents can look but not touch
+    if (req.agent.role === 'read_only' && req.method !== 'GET') {
+      return res.status(403).json({ error: 'Read-only accounts cannot make changes' });
+    }
+    next();
+  } catch (error) {
+    console.error('❌ Auth error:', error);
+    res.status(500).json({ error: 'Failed to authenticate', details: error.message });
+  }
+}
+
+// ---- Middleware: only let the listed roles through ----
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.agent || !roles.includes(req.agent.role)) {
+      console.log(`⛔ ${req.agent?.name || 'Unknown'} (${req.agent?.role || 'none'}) blocked from ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({ error: `Requires role: ${roles.join(' or ')}` });
+    }
+    next();
+  };
+}
+
+// ---- POST /api/auth/setup ----
+// First-run only: creates the initial admin when there are no agents yet
+app.post('/api/auth/setup', async (req, res) => {
+  try {
+    const { name, email, password, signature } = req.body;
+    if (!name || !email || !password) return res.status(400).json({ error: 'name, email, and password required' });
+    if (password.length < 8) return res.status(400).json({ error: 'Password must be at least 8 characters' });
+
+    const { count, error: countErr } = await supabase.from('agents').select('id', { count: 'exact', head: true });
+    if (countErr) throw countErr;
+    if (count > 0) return res.status(403).json({ error: 'Setup already completed' });
+
+    const { data: agent, error } = await supabase.from('agents').insert({
+      name,
+      email: email.toLowerCase(),
+      password_hash: hashPassword(password),
+      role: 'admin',
+      signature: signature || null,
+      is_active: true,
+      accepts_tickets: true,
+    }).select().single();
+    if (error) throw error;
+
+    const session = await createSession(agent);
+    console.log(`👤 Initial admin created: ${agent.name} (${agent.email})`);
+    res.status(201).json({ success: true, token: session.token, expiresAt: session.expiresAt, agent: publicAgent(agent) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to complete setup', details: error.message });
+  }
+});
+
+// ---- POST /api/auth/login ----
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    if (!email || !password) return res.status(400).json({ error: 'email and password required' });
+
+    const { data: agent } = await supabase.from('agents').select('*').eq('email', email.toLowerCase()).single();
+    if (!agent || agent.is_active === false || !verifyPassword(password, agent.password_hash)) {
+      console.log(`⛔ Failed login for ${email}`);
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    const session = await createSession(agent);
+    console.log(`👤 ${agent.name} logged in`);
+    res.json({ success: true, token: session.token, expiresAt: session.expiresAt, agent: publicAgent(agent) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to log in', details: error.message });
+  }
+});
+
+// ---- POST /api/auth/logout ----
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const token = bearerToken(req);
+    if (token) await supabase.from('agent_sessions').delete().eq('token_hash', hashToken(token));
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to log out', details: error.message });
+  }
+});
+
+// Everything under /api from here on requires a logged-in agent
+app.use('/api', requireAuth);
+
+// ---- GET /api/auth/me ----
+app.get('/api/auth/me', (req, res) => {
+  res.json({ agent: publicAgent(req.agent) });
+});
+
+// ---- PATCH /api/auth/me ----
+// Agents can update their own display name, signature, and password
+app.patch('/api/auth/me', async (req, res) => {
+  try {
+    const { name, signature, current_password, new_password } = req.body;
+    const updates = { updated_at: new Date().toISOString() };
+    if (name !== undefined) updates.name = name;
+    if (signature !== undefined) updates.signature = signature;
+    if (new_password !== undefined) {
+      if (!verifyPassword(current_password || '', req.agent.password_hash)) return res.status(400).json({ error: 'Current password is incorrect' });
+      if (new_password.length < 8) return res.status(400).json({ error: 'Password must be at least 8 characters' });
+      updates.password_hash = hashPassword(new_password);
+    }
+    const { data, error } = await supabase.from('agents').update(updates).eq('id', req.agent.id).select().single();
+    if (error) throw error;
+    res.json({ success: true, agent: publicAgent(data) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update profile', details: error.message });
+  }
+});
+
+// ---- GET /api/agents ----
+app.get('/api/agents', async (req, res) => {
+  try {
+    const { data, error } = await supabase.from('agents').select('*').order('name', { ascending: true });
+    if (error) throw error;
+    res.json({ agents: data.map(publicAgent) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch agents', details: error.message });
+  }
+});
+
+// ---- POST /api/agents ---- (admin)
+app.post('/api/agents', requireRole('admin'), async (req, res) => {
+  try {
+    const { name, email, password, role = 'agent', signature } = req.body;
+    if (!name || !email || !password) return res.status(400).json({ error: 'name, email, and password required' });
+    if (!AGENT_ROLES.includes(role)) return res.status(400).json({ error: 'Invalid role' });
+    if (password.length < 8) return res.status(400).json({ error: 'Password must be at least 8 characters' });
+
+    const { data, error } = await supabase.from('agents').insert({
+      name,
+      email: email.toLowerCase(),
+      password_hash: hashPassword(password),
+      role,
+      signature: signature || null,
+      is_active: true,
+      accepts_tickets: true,
+    }).select().single();
+    if (error) throw error;
+
+    console.log(`👤 Agent created: ${data.name} (${data.role}) by ${req.agent.name}`);
+    res.status(201).json({ success: true, agent: publicAgent(data) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create agent', details: error.message });
+  }
+});
+
+// ---- PATCH /api/agents/:id ---- (admin)
+// Change role, deactivate, reset password
+app.patch('/api/agents/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { name, role, signature, is_active, accepts_tickets, password } = req.body;
+    const updates = { updated_at: new Date().toISOString() };
+    if (name !== undefined) updates.name = name;
+    if (signature !== undefined) updates.signature = signature;
+    if (accepts_tickets !== undefined) updates.accepts_tickets = !!accepts_tickets;
+    if (role !== undefined) {
+      if (!AGENT_ROLES.includes(role)) return res.status(400).json({ error: 'Invalid role' });
+      updates.role = role;
+    }
+    if (is_active !== undefined) updates.is_active = !!is_active;
+    if (password !== undefined) {
+      if (password.length < 8) return res.status(400).json({ error: 'Password must be at least 8 characters' });
+      updates.password_hash = hashPassword(password);
+    }
+    if (req.params.id === req.agent.id && ((updates.role && updates.role !== 'admin') || updates.is_active === false)) {
+      return res.status(400).json({ error: 'You cannot demote or deactivate yourself' });
+    }
+
+    const { data, error } = await supabase.from('agents').update(updates).eq('id', req.params.id).select().single();
+    if (error) throw error;
+
+    // Kill existing sessions when an agent is deactivated or their password is reset
+    if (updates.is_active === false || updates.password_hash) {
+      await supabase.from('agent_sessions').delete().eq('agent_id', req.params.id);
+    }
+
+    res.json({ success: true, agent: publicAgent(data) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update agent', details: error.message });
+  }
+});
+
+
+// ============================================================
+// WEBHOOK VERIFICATION
+// ============================================================
+// Contact form: HMAC-SHA256 over "<timestamp>.<raw body>" with CONTACT_FORM_SECRET,
+//   sent as X-Tipsy-Signature + X-Tipsy-Timestamp (unix seconds).
+// Inbound parse: HTTP basic auth in the parse URL (INBOUND_PARSE_USER/PASS) and/or
+//   SendGrid's signed webhook (ECDSA, SENDGRID_INBOUND_PUBLIC_KEY).
+// Event webhook: SendGrid's signed webhook (ECDSA, SENDGRID_EVENTS_PUBLIC_KEY).
+// Anything outside the timestamp window, or a signature we've already seen, is a replay.
+// A webhook whose secret isn't configured rejects everything (503) unless
+// ALLOW_UNVERIFIED_WEBHOOKS=true, which is meant for local development only.
+
+const CONTACT_FORM_SECRET = process.env.CONTACT_FORM_SECRET;
+const INBOUND_PARSE_USER = process.env.INBOUND_PARSE_USER;
+const INBOUND_PARSE_PASS = process.env.INBOUND_PARSE_PASS;
+const SENDGRID_INBOUND_PUBLIC_KEY = process.env.SENDGRID_INBOUND_PUBLIC_KEY;
+const SENDGRID_EVENTS_PUBLIC_KEY = process.env.SENDGRID_EVENTS_PUBLIC_KEY;
+const WEBHOOK_TOLERANCE_SECONDS = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS || '300', 10);
+const ALLOW_UNVERIFIED_WEBHOOKS = process.env.ALLOW_UNVERIFIED_WEBHOOKS === 'true';
+const INBOUND_VERIFICATION_CONFIGURED = !!(SENDGRID_INBOUND_PUBLIC_KEY || (INBOUND_PARSE_USER && INBOUND_PARSE_PASS));
+
+function warnUnverified(configured, what, settings) {
+  if (configured) return;
+  if (ALLOW_UNVERIFIED_WEBHOOKS) console.log(`⚠️ ${settings} not set, ${what} webhook is UNVERIFIED (ALLOW_UNVERIFIED_WEBHOOKS=true)`);
+  else console.error(`⛔ ${settings} not set, ${what} webhook will reject every request`);
+}
+warnUnverified(!!CONTACT_FORM_SECRET, 'contact form', 'CONTACT_FORM_SECRET');
+warnUnverified(INBOUND_VERIFICATION_CONFIGURED, 'inbound email', 'SENDGRID_INBOUND_PUBLIC_KEY or INBOUND_PARSE_USER/PASS');
+warnUnverified(!!SENDGRID_EVENTS_PUBLIC_KEY, 'delivery event', 'SENDGRID_EVENTS_PUBLIC_KEY');
+
+// Signatures seen inside the tolerance window (signature -> expiry ms)
+const seenWebhookSignatures = new Map();
+
+function isReplay(signature) {
+  const now = Date.now();
+  for (const [sig, expires] of seenWebhookSignatures) { if (expires < now) seenWebhookSignatures.delete(sig); }
+  if (seenWebhookSignatures.has(signature)) return true;
+  seenWebhookSignatures.set(signature, now + WEBHOOK_TOLERANCE_SECONDS * 1000);
+  return false;
+}
+
+function timestampInWindow(timestamp) {
+  const ts = parseInt(timestamp, 10);
+  if (!ts) return false;
+  return Math.abs(Date.now() / 1000 - ts) <= WEBHOOK_TOLERANCE_SECONDS;
+}
+
+function safeEqual(a, b) {
+  const ba = Buffer.from(a || '');
+  const bb = Buffer.from(b || '');
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+async function logWebhookRejection(req, source, reason) {
+  const ip = (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.socket.remoteAddress;
+  console.log(`🚫 Rejected ${source} webhook from ${ip}: ${reason}`);
+  const { error } = await supabase.from('webhook_rejections').insert({
+    source,
+    reason,
+    ip,
+    user_agent: req.headers['user-agent'] || null,
+    path: req.originalUrl,
+  });
+  if (error) console.error('Failed to log webhook rejection:', error.message);
+}
+
+// Fail closed: no secret means no way to tell real calls from forged ones
+async function rejectUnconfigured(req, res, source) {
+  await logWebhookRejection(req, source, 'verification not configured');
+  return res.status(503).json({ error: 'Webhook verification is not configured' });
+}
+
+// ---- Middleware: verify contact form HMAC ----
+async function verifyContactForm(req, res, next) {
+  if (!CONTACT_FORM_SECRET) return ALLOW_UNVERIFIED_WEBHOOKS ? next() : rejectUnconfigured(req, res, 'contact-form');
+  const signature = (req.headers['x-tipsy-signature'] || '').replace(/^sha256=/, '');
+  const timestamp = req.headers['x-tipsy-timestamp'];
+  let reason = null;
+  if (!signature || !timestamp) reason = 'missing signature or timestamp';
+  else if (!timestampInWindow(timestamp)) reason = `timestamp outside ${WEBHOOK_TOLERANCE_SECONDS}s window`;
+  else {
+    const expected = crypto.createHmac('sha256', CONTACT_FORM_SECRET)
+      .update(`${timestamp}.`).update(req.rawBody || Buffer.alloc(0))
+      .digest('hex');
+    if (!safeEqual(signature, expected)) reason = 'bad signature';
+    else if (isReplay(signature)) reason = 'replayed signature';
+  }
+  if (reason) {
+    await logWebhookRejection(req, 'contact-form', reason);
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+  next();
+}
+
+// ---- Middleware: verify SendGrid inbound parse ----
+// Runs after express.raw, so req.body is the untouched payload buffer.
+async function verifyInboundEmail(req, res, next) {
+  if (!INBOUND_VERIFICATION_CONFIGURED) return ALLOW_UNVERIFIED_WEBHOOKS ? next() : rejectUnconfigured(req, res, 'inbound-email');
+  let reason = null;
+
+  if (INBOUND_PARSE_USER && INBOUND_PARSE_PASS) {
+    const header = req.headers.authorization || '';
+    const [user, pass] = header.startsWith('Basic ')
+      ? Buffer.from(header.slice(6), 'base64').toString().split(/:(.*)/s)
+      : [];
+    if (!safeEqual(user, INBOUND_PARSE_USER) || !safeEqual(pass, INBOUND_PARSE_PASS)) reason = 'bad basic auth';
+  }
+
+  if (!reason && SENDGRID_INBOUND_PUBLIC_KEY) {
+    reason = checkSendgridSignature(req, SENDGRID_INBOUND_PUBLIC_KEY, Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0));
+  }
+
+  if (reason) {
+    await logWebhookRejection(req, 'inbound-email', reason);
+    return res.status(401).send('Unauthorized');
+  }
+  next();
+}
+
+// ---- Middleware: verify SendGrid event webhook ----
+// Signed with the same ECDSA scheme; the JSON parser kept the raw body for us.
+async function verifySendgridEvents(req, res, next) {
+  if (!SENDGRID_EVENTS_PUBLIC_KEY) return ALLOW_UNVERIFIED_WEBHOOKS ? next() : rejectUnconfigured(req, res, 'sendgrid-events');
+  const reason = checkSendgridSignature(req, SENDGRID_EVENTS_PUBLIC_KEY, req.rawBody || Buffer.alloc(0));
+  if (reason) {
+    await logWebhookRejection(req, 'sendgrid-events', reason);
+    return res.status(401).send('Unauthorized');
+  }
+  next();
+}
+
+// SendGrid signed webhooks: ECDSA over "<timestamp><raw body>". Returns a rejection reason or null.
+function checkSendgridSignature(req, publicKeyBase64, rawBody) {
+  const signature = req.headers['x-twilio-email-event-webhook-signature'];
+  const timestamp = req.headers['x-twilio-email-event-webhook-timestamp'];
+  if (!signature || !timestamp) return 'missing signature or timestamp';
+  if (!timestampInWindow(timestamp)) return `timestamp outside ${WEBHOOK_TOLERANCE_SECONDS}s window`;
+  try {
+    const publicKey = crypto.createPublicKey({ key: Buffer.from(publicKeyBase64, 'base64'), format: 'der', type: 'spki' });
+    const valid = crypto.verify('sha256', Buffer.concat([Buffer.from(timestamp), rawBody]), publicKey, Buffer.from(signature, 'base64'));
+    if (!valid) return 'bad signature';
+    if (isReplay(signature)) return 'replayed signature';
+  } catch (err) {
+    return `signature check failed: ${err.message}`;
+  }
+  return null;
+}
+
+
 // ---- POST /webhook/contact-form ----
 // Now with fuzzy matching and reply threading
-app.post('/webhook/contact-form', async (req, res) => {
+app.post('/webhook/contact-form', verifyContactForm, async (req, res) => {
   try {
     const { first_name, last_name, email, phone, purpose, message, attachment_info, submitted_at } = req.body;
     if (!first_name || !email || !message) {
@@ -382,8 +1214,9 @@ app.post('/webhook/contact-form', async (req, res) => {
     }
 
     const fullName = `${first_name} ${last_name || ''}`.trim();
-    const autoTags = generateAutoTags(purpose || 'Other', message);
-    const priority = determinePriority(purpose || 'Other', message);
+    const triage = await triageMessage({ purpose: purpose || null, message, channel: 'site_form' });
+    const { tags: autoTags, priority } = triage;
+    const messageLanguage = detectLanguage(message);
 
     // Smart customer matching
     const { customer, matchType, possibleMatch, isNew } = await findOrCreateCustomer(email, phone, fullName);
@@ -392,20 +1225,22 @@ app.post('/webhook/contact-form', async (req, res) => {
     // Reply threading: check for open ticket from this customer
     const openTicket = await findOpenTicketForCustomer(customerId);
 
-    let ticketId, ticket;
+    let ticketId, ticket, saved;
 
     if (openTicket) {
       // Thread onto existing open ticket
       ticketId = openTicket.ticket_id;
 
       // Add the new message to existing ticket
-      await supabase.from('messages').insert({
+      ({ data: saved } = await supabase.from('messages').insert({
         ticket_id: openTicket.id,
         sender_type: 'customer',
         sender_name: fullName,
         content: message,
+        language: messageLanguage,
         metadata: { purpose, phone, attachment: attachment_info || null, submitted_at: submitted_at || new Date().toISOString(), threaded: true }
-      });
+      }).select().single());
+      await noteCustomerLanguage(openTicket, saved);
 
       // Merge new tags with existing
       const existingTags = openTicket.ai_tags || [];
@@ -415,11 +1250,14 @@ app.post('/webhook/contact-form', async (req, res) => {
       await supabase.from('tickets').update({
         ai_tags: mergedTags,
         status: 'open', // Reopen if it was pending
+        ...(await wakeOnCustomerReply(openTicket)),
+        ...STALE_SUMMARY,
         updated_at: new Date().toISOString(),
       }).eq('id', openTicket.id);
 
       ticket = openTicket;
       console.log(`🔄 Threaded reply onto ${ticketId} from ${fullName}`);
+      publishEvent('message.created', { ticketId, from: 'customer' });
 
     } else {
       // Check if there's a recently closed ticket (within 24h) — reopen it
@@ -438,13 +1276,15 @@ app.post('/webhook/contact-form', async (req, res) => {
         // Reopen recently closed ticket
         ticketId = recentTicket.ticket_id;
 
-        await supabase.from('messages').insert({
+        ({ data: saved } = await supabase.from('messages').insert({
           ticket_id: recentTicket.id,
           sender_type: 'customer',
           sender_name: fullName,
           content: message,
+          language: messageLanguage,
           metadata: { purpose, phone, attachment: attachment_info || null, submitted_at: submitted_at || new Date().toISOString(), reopened: true }
-        });
+        }).select().single());
+        await noteCustomerLanguage(recentTicket, saved);
 
         await supabase.from('messages').insert({
           ticket_id: recentTicket.id,
@@ -459,11 +1299,14 @@ app.post('/webhook/contact-form', async (req, res) => {
         await supabase.from('tickets').update({
           ai_tags: mergedTags,
           status: 'open',
+          ...(await reopenSlaFields(recentTicket)),
+          ...STALE_SUMMARY,
           updated_at: new Date().toISOString(),
         }).eq('id', recentTicket.id);
 
         ticket = recentTicket;
         console.log(`🔓 Reopened ${ticketId} from ${fullName}`);
+        publishEvent('message.created', { ticketId, from: 'customer', reopened: true });
 
       } else {
         // Create brand new ticket
@@ -481,47 +1324,56 @@ app.post('/webhook/contact-form', async (req, res) => {
             channel: 'site_form',
             ai_tags: autoTags,
             ai_summary: summary,
-            purpose: purpose || 'Other',
+            ...STALE_SUMMARY,
+            ai_triage: triage,
+            language: messageLanguage || triage.language,
+            purpose: triage.purpose,
+            ...(await slaFieldsForTicket({ priority, purpose: triage.purpose, channel: 'site_form' })),
+            assignee_id: await routeTicket({ purpose: triage.purpose, channel: 'site_form' }),
           })
           .select().single();
 
         if (ticketError) throw ticketError;
         ticket = newTicket;
 
-        await supabase.from('messages').insert({
+        ({ data: saved } = await supabase.from('messages').insert({
           ticket_id: ticket.id,
           sender_type: 'customer',
           sender_name: fullName,
           content: message,
+          language: messageLanguage,
           metadata: { purpose, phone, attachment: attachment_info || null, submitted_at: submitted_at || new Date().toISOString() }
-        });
+        }).select().single());
+        await noteCustomerLanguage(ticket, saved);
 
-        await supabase.from('messages').insert({
+        const autoReplyCopy = autoReplyEmail({ firstName: first_name, ticketId, language: ticket.language });
+        const autoReplyMessageId = generateMessageId(ticketId);
+        const { data: autoReply } = await supabase.from('messages').insert({
           ticket_id: ticket.id,
           sender_type: 'agent',
           sender_name: 'Auto-reply',
-          content: `Thanks for reaching out! We've received your message and a team member will get back to you shortly. Your ticket number is ${ticketId}.`,
-        });
+          content: autoReplyCopy.content,
+          email_message_id: autoReplyMessageId,
+        }).select('id').single();
 
         // Send auto-reply email for contact form submissions
         try {
-          const autoBody = `<p>Hey ${first_name}!</p>
-            <p>Thanks for reaching out! We got your message and a team member will get back to you shortly.</p>
-            <p>Your ticket number is <strong>${ticketId}</strong>.</p>
-            <p>Lauren<br><span style="color:#999;">TIPSY AF Support</span></p>`;
-          await sendEmail({
+          await queueEmail({
             to: email,
             subject: `Re: ${purpose || 'Your message'} [${ticketId}]`,
-            text: `Hey ${first_name}!\n\nThanks for reaching out! We got your message and a team member will get back to you shortly.\n\nYour ticket number is ${ticketId}.\n\nLauren\nTIPSY AF Support`,
-            html: emailTemplate(autoBody, ticketId),
-          });
+            text: autoReplyCopy.text,
+            html: emailTemplate(autoReplyCopy.bodyHTML, ticketId),
+            messageId: autoReplyMessageId,
+          }, { kind: 'auto_reply', ticket, messageRowId: autoReply?.id });
         } catch (emailErr) {
           console.error('❌ Contact form auto-reply email failed:', emailErr.message);
         }
 
-        console.log(`✅ New ticket: ${ticketId} from ${fullName} (${email}) — ${purpose} [match: ${matchType}]`);
+        console.log(`✅ New ticket: ${ticketId} from ${fullName} (${email}) — ${triage.purpose}, ${priority} [triage: ${triage.source}, match: ${matchType}]`);
+        publishEvent('ticket.created', { ticketId, channel: 'contact_form' });
       }
     }
+    trackSentimentLater(ticket, saved);
 
     res.status(201).json({
       success: true,
@@ -544,28 +1396,55 @@ app.post('/webhook/contact-form', async (req, res) => {
 // Receives all emails sent to *@gettipsyaf.com
 // Threads replies onto existing tickets, creates new tickets for fresh emails
 
-app.post('/webhook/inbound-email', express.raw({ type: '*/*', limit: '25mb' }), async (req, res) => {
+app.post('/webhook/inbound-email', express.raw({ type: '*/*', limit: '25mb' }), verifyInboundEmail, async (req, res) => {
   try {
     // SendGrid sends multipart form data
     const Busboy = require('busboy');
     const fields = {};
+    const files = [];
+    const skippedAttachments = [];
 
     await new Promise((resolve, reject) => {
-      const busboy = Busboy({ headers: req.headers });
+      const busboy = Busboy({ headers: req.headers, limits: { fileSize: ATTACHMENT_MAX_BYTES } });
       busboy.on('field', (name, val) => { fields[name] = val; });
-      busboy.on('file', (name, file) => {
-        // Skip file attachments for now, consume the stream
-        file.resume();
+      busboy.on('file', (name, file, info) => {
+        const filename = info.filename || name;
+        const contentType = (info.mimeType || 'application/octet-stream').toLowerCase();
+        if (!ATTACHMENT_TYPES.includes(contentType)) {
+          skippedAttachments.push({ filename, contentType, reason: 'type not allowed' });
+          file.resume();
+          return;
+        }
+        const chunks = [];
+        file.on('data', chunk => chunks.push(chunk));
+        file.on('limit', () => skippedAttachments.push({ filename, contentType, reason: 'too large' }));
+        file.on('end', () => {
+          if (!file.truncated) files.push({ filename, contentType, buffer: Buffer.concat(chunks) });
+        });
       });
       busboy.on('finish', resolve);
       busboy.on('error', reject);
       busboy.end(req.body);
     });
 
+    // "Send raw" mode: the whole MIME message arrives in one `email` field
+    if (fields.email) {
+      const parsed = await parseRawEmail(fields.email);
+      for (const key of ['from', 'to', 'subject', 'text', 'html', 'headers']) {
+        if (!fields[key]) fields[key] = parsed[key];
+      }
+      for (const a of parsed.attachments) {
+        if (!ATTACHMENT_TYPES.includes(a.contentType)) skippedAttachments.push({ filename: a.filename, contentType: a.contentType, reason: 'type not allowed' });
+        else if (a.buffer.length > ATTACHMENT_MAX_BYTES) skippedAttachments.push({ filename: a.filename, contentType: a.contentType, reason: 'too large' });
+        else files.push(a);
+      }
+    }
+
     console.log('📨 Inbound email received');
     console.log('  From:', fields.from);
     console.log('  To:', fields.to);
     console.log('  Subject:', fields.subject);
+    if (files.length || skippedAttachments.length) console.log(`  Attachments: ${files.length} kept, ${skippedAttachments.length} skipped`);
 
     // Parse sender info
     const fromRaw = fields.from || '';
@@ -584,63 +1463,82 @@ app.post('/webhook/inbound-email', express.raw({ type: '*/*', limit: '25mb' }),
       return res.status(200).send('OK');
     }
 
-    // Extract the email body (prefer text, strip signatures/quoted text)
-    let body = fields.text || fields.html || '';
-    // Strip quoted replies (lines starting with >)
-    body = body.split('\n').filter(line => !line.startsWith('>')).join('\n');
-    // Strip common reply headers
-    body = body.replace(/On .+ wrote:\s*$/gm, '').trim();
-    // Strip email signatures after common separators
-    body = body.split(/\n--\s*\n/)[0].trim();
-    body = body.split(/\n_{3,}\n/)[0].trim();
-    // If HTML only, strip tags
-    if (!fields.text && fields.html) {
-      body = body.replace(/<style[\s\S]*?<\/style>/gi, '')
-        .replace(/<script[\s\S]*?<\/script>/gi, '')
-        .replace(/<[^>]+>/g, ' ')
-        .replace(/&nbsp;/g, ' ')
-        .replace(/\s+/g, ' ')
-        .trim();
-    }
+    // Extract just the new reply (quoted history, signatures and footers stripped)
+    const extracted = extractReply({ text: fields.text, html: fields.html });
+    let body = extracted.body;
+    // Keep the untouched original for reference
+    const rawEmail = fields.email || [fields.headers, fields.text || fields.html].filter(Boolean).join('\n\n');
+    const extraction = {
+      source: extracted.source,
+      quote_stripped: extracted.quoteStripped,
+      signature_stripped: extracted.signatureStripped,
+      forwarded: extracted.forwarded || undefined,
+    };
 
+    if ((!body || body.length < 2) && files.length > 0) body = '(Attachment only)';
     if (!body || body.length < 2) {
       console.log('⚠️ Empty email body, ignoring');
       return res.status(200).send('OK');
     }
 
     const subject = fields.subject || '(No subject)';
+    const emailHeaders = parseEmailHeaders(fields.headers);
+    const inboundMessageId = extractMessageIds(emailHeaders['message-id'])[0] || null;
+
+    // SendGrid retries on timeouts, so skip a Message-ID we've already stored
+    if (inboundMessageId) {
+      const { data: dupe } = await supabase.from('messages').select('id').eq('email_message_id', inboundMessageId).limit(1);
+      if (dupe && dupe.length > 0) {
+        console.log(`⚠️ Duplicate inbound email ${inboundMessageId}, ignoring`);
+        return res.status(200).send('OK');
+      }
+    }
+
+    // 1. Thread by headers: In-Reply-To, then References (newest first)
+    const referencedIds = [
+      ...extractMessageIds(emailHeaders['in-reply-to']),
+      ...extractMessageIds(emailHeaders['references']).reverse(),
+    ];
+    let existingTicket = await findTicketByMessageIds([...new Set(referencedIds)]);
+    let threadedBy = existingTicket ? 'headers' : null;
 
-    // Try to find existing ticket from subject line [TIX-XXXX]
+    // 2. Subject line tag [TIX-XXXX]
     const ticketMatch = subject.match(/\[?(TIX-\d+)\]?/i);
-    let existingTicket = null;
 
-    if (ticketMatch) {
+    if (!existingTicket && ticketMatch) {
       const tid = ticketMatch[1].toUpperCase();
       const { data } = await supabase.from('tickets')
         .select('*, customer:customers(*)')
         .eq('ticket_id', tid)
         .single();
-      if (data) existingTicket = data;
+      if (data) { existingTicket = data; threadedBy = 'subject'; }
     }
 
-    // If no ticket ref in subject, try to find by customer email + open ticket
+    // 3. Fall back to this customer's open ticket
     if (!existingTicket) {
       const { customer } = await findOrCreateCustomer(fromEmail, null, fromName);
       if (customer) {
         const openTicket = await findOpenTicketForCustomer(customer.id);
-        if (openTicket) existingTicket = openTicket;
+        if (openTicket) { existingTicket = openTicket; threadedBy = 'customer'; }
       }
     }
 
+    const messageLanguage = detectLanguage(body);
+
     if (existingTicket) {
       // Thread reply onto existing ticket
-      await supabase.from('messages').insert({
+      const { data: message } = await supabase.from('messages').insert({
         ticket_id: existingTicket.id,
         sender_type: 'customer',
         sender_name: fromName,
         content: body,
-        metadata: { channel: 'email', original_subject: subject, from_email: fromEmail, threaded: true }
-      });
+        language: messageLanguage,
+        email_message_id: inboundMessageId,
+        raw_email: rawEmail,
+        metadata: { channel: 'email', original_subject: subject, from_email: fromEmail, threaded: true, threaded_by: threadedBy, extraction, skipped_attachments: skippedAttachments.length ? skippedAttachments : undefined }
+      }).select().single();
+      if (message && files.length) await saveAttachments(files, existingTicket.id, message.id);
+      await noteCustomerLanguage(existingTicket, message);
 
       // Reopen if resolved/closed
       if (existingTicket.status === 'resolved' || existingTicket.status === 'closed') {
@@ -652,24 +1550,30 @@ app.post('/webhook/inbound-email', express.raw({ type: '*/*', limit: '25mb' }),
         });
         await supabase.from('tickets').update({
           status: 'open',
+          ...(await reopenSlaFields(existingTicket)),
+          ...STALE_SUMMARY,
           updated_at: new Date().toISOString(),
         }).eq('id', existingTicket.id);
         console.log(`🔓 Email reply reopened ${existingTicket.ticket_id}`);
       } else {
         await supabase.from('tickets').update({
           status: 'open',
+          ...(await wakeOnCustomerReply(existingTicket)),
+          ...STALE_SUMMARY,
           updated_at: new Date().toISOString(),
         }).eq('id', existingTicket.id);
       }
 
-      console.log(`🔄 Email reply threaded onto ${existingTicket.ticket_id} from ${fromName} <${fromEmail}>`);
+      console.log(`🔄 Email reply threaded onto ${existingTicket.ticket_id} from ${fromName} <${fromEmail}> [by ${threadedBy}]`);
+      publishEvent('message.created', { ticketId: existingTicket.ticket_id, from: 'customer' });
+      trackSentimentLater(existingTicket, message);
       return res.status(200).send('OK');
     }
 
     // No existing ticket — create a new one
     const { customer } = await findOrCreateCustomer(fromEmail, null, fromName);
-    const autoTags = generateAutoTags('Other', body);
-    const priority = determinePriority('Other', body);
+    const triage = await triageMessage({ subject, message: body, channel: 'email' });
+    const { tags: autoTags, priority } = triage;
     const ticketId = generateTicketId();
     const summary = generateSummary('Email', body, fromName);
 
@@ -684,38 +1588,57 @@ app.post('/webhook/inbound-email', express.raw({ type: '*/*', limit: '25mb' }),
         channel: 'email',
         ai_tags: autoTags,
         ai_summary: summary,
-        purpose: 'Other',
+        ...STALE_SUMMARY,
+        ai_triage: triage,
+        language: messageLanguage || triage.language,
+        purpose: triage.purpose,
+        ...(await slaFieldsForTicket({ priority, purpose: triage.purpose, channel: 'email' })),
+        assignee_id: await routeTicket({ purpose: triage.purpose, channel: 'email' }),
       })
       .select().single();
 
     if (ticketError) throw ticketError;
 
-    await supabase.from('messages').insert({
+    const { data: message } = await supabase.from('messages').insert({
       ticket_id: newTicket.id,
       sender_type: 'customer',
       sender_name: fromName,
       content: body,
-      metadata: { channel: 'email', original_subject: subject, from_email: fromEmail }
-    });
-
-    // Send auto-acknowledgment
+      language: messageLanguage,
+      email_message_id: inboundMessageId,
+      raw_email: rawEmail,
+      metadata: { channel: 'email', original_subject: subject, from_email: fromEmail, extraction, skipped_attachments: skippedAttachments.length ? skippedAttachments : undefined }
+    }).select().single();
+    if (message && files.length) await saveAttachments(files, newTicket.id, message.id);
+    await noteCustomerLanguage(newTicket, message);
+
+    // Send auto-acknowledgment, threaded under the customer's email
+    const autoReplyCopy = autoReplyEmail({ firstName: fromName.split(' ')[0], ticketId, language: newTicket.language });
+    const autoReplyMessageId = generateMessageId(ticketId);
+    const { data: autoReply } = await supabase.from('messages').insert({
+      ticket_id: newTicket.id,
+      sender_type: 'agent',
+      sender_name: 'Auto-reply',
+      content: autoReplyCopy.content,
+      email_message_id: autoReplyMessageId,
+    }).select('id').single();
     try {
-      const firstName = fromName.split(' ')[0];
-      const autoBody = `<p>Hey ${firstName}!</p>
-        <p>Thanks for reaching out! We got your message and a team member will get back to you shortly.</p>
-        <p>Your ticket number is <strong>${ticketId}</strong>.</p>
-        <p>Lauren<br><span style="color:#999;">TIPSY AF Support</span></p>`;
-      await sendEmail({
+      await queueEmail({
         to: fromEmail,
         subject: `Re: ${subject} [${ticketId}]`,
-        text: `Hey ${firstName}!\n\nThanks for reaching out! We got your message and a team member will get back to you shortly.\n\nYour ticket number is ${ticketId}.\n\nLauren\nTIPSY AF Support`,
-        html: emailTemplate(autoBody, ticketId),
-      });
+        text: autoReplyCopy.text,
+        html: emailTemplate(autoReplyCopy.bodyHTML, ticketId),
+        messageId: autoReplyMessageId,
+        inReplyTo: inboundMessageId,
+        references: inboundMessageId ? [inboundMessageId] : [],
+      }, { kind: 'auto_reply', ticket: newTicket, messageRowId: autoReply?.id });
     } catch (emailErr) {
       console.error('❌ Auto-reply email failed:', emailErr.message);
     }
 
     console.log(`✅ New email ticket: ${ticketId} from ${fromName} <${fromEmail}> — "${subject}"`);
+    publishEvent('ticket.created', { ticketId, channel: 'email' });
+    trackSentimentLater(newTicket, message);
     res.status(200).send('OK');
 
   } catch (error) {
@@ -726,61 +1649,550 @@ app.post('/webhook/inbound-email', express.raw({ type: '*/*', limit: '25mb' }),
 });
 
 
-// ---- GET /api/tickets ----
-app.get('/api/tickets', async (req, res) => {
+// ============================================================
+// EMAIL DELIVERY TRACKING (SendGrid event webhook)
+// ============================================================
+// Outbound mail carries cs_message_id / cs_ticket_id custom args, which
+// SendGrid echoes on each event. Events without them fall back to smtp-id
+// (our Message-ID header). Every event lands in email_events; the message
+// keeps the most significant status so far, and hard bounces flag the customer.
+
+// Higher wins; events can arrive out of order
+const DELIVERY_RANK = { sent: 0, processed: 1, deferred: 2, delivered: 3, open: 4, spamreport: 5, dropped: 5, bounce: 5 };
+const DELIVERY_STATUS = { sent: 'sent', processed: 'sent', deferred: 'deferred', delivered: 'delivered', open: 'opened', spamreport: 'spam_report', dropped: 'dropped', bounce: 'bounced' };
+
+function deliveryTrackingArgs(messageId, ticketId) {
+  if (!messageId) return undefined;
+  return { cs_message_id: String(messageId), cs_ticket_id: String(ticketId) };
+}
+
+async function markMessageSent(messageId) {
+  await supabase.from('messages')
+    .update({ delivery_status: EMAIL_IS_LIVE ? 'sent' : 'file_only', delivery_updated_at: new Date().toISOString() })
+    .eq('id', messageId)
+    .or('delivery_status.is.null,delivery_status.in.(retrying,failed)');
+}
+
+function rankOfStatus(status) {
+  const event = Object.keys(DELIVERY_STATUS).find(k => DELIVERY_STATUS[k] === status);
+  return event ? DELIVERY_RANK[event] : -1;
+}
+
+async function findTrackedMessage(evt) {
+  const select = 'id, ticket_id, delivery_status, ticket:tickets(ticket_id, customer_id)';
+  if (evt.cs_message_id) {
+    const { data } = await supabase.from('messages').select(select).eq('id', evt.cs_message_id).single();
+    if (data) return data;
+  }
+  const smtpId = (evt['smtp-id'] || '').trim();
+  if (smtpId) {
+    const { data } = await supabase.from('messages').select(select).eq('email_message_id', smtpId.startsWith('<') ? smtpId : `<${smtpId}>`).limit(1);
+    if (data && data.length) return data[0];
+  }
+  return null;
+}
+
+// Hard bounces (and drops for a known-bad address) mean we can't reach this customer by email
+function isAddressFailure(evt) {
+  if (evt.event === 'bounce') return evt.type !== 'blocked';
+  if (evt.event === 'dropped') return /bounced address|invalid/i.test(evt.reason || '');
+  return false;
+}
+
+async function flagBouncedCustomer(evt, message) {
+  const reason = (evt.reason || evt.response || evt.event).slice(0, 500);
+  const now = new Date().toISOString();
+  let query = supabase.from('customers').update({ email_bounced_at: now, email_bounce_reason: reason });
+  if (message?.ticket?.customer_id) query = query.eq('id', message.ticket.customer_id);
+  // Exact match only: customer emails are stored lower-cased, and ilike would treat _ and % as wildcards
+  else if (evt.email) query = query.eq('email', String(evt.email).trim().toLowerCase());
+  else return;
+  const { error } = await query;
+  if (error) console.error('Failed to flag bounced customer:', error.message);
+  else console.log(`📭 Flagged ${evt.email} as bouncing: ${reason}`);
+}
+
+async function recordDeliveryEvent(evt) {
+  if (!evt || (!DELIVERY_STATUS[evt.event] && evt.event !== 'click')) return;
+  const message = await findTrackedMessage(evt);
+  const occurredAt = evt.timestamp ? new Date(evt.timestamp * 1000).toISOString() : new Date().toISOString();
+
+  const { data: inserted, error } = await supabase.from('email_events').upsert({
+    sg_event_id: evt.sg_event_id || null,
+    sg_message_id: evt.sg_message_id || null,
+    message_id: message?.id || null,
+    ticket_id: message?.ticket_id || null,
+    event: evt.event,
+    email: evt.email || null,
+    reason: evt.reason || evt.response || null,
+    bounce_type: evt.type || null,
+    occurred_at: occurredAt,
+    raw: evt,
+  }, { onConflict: 'sg_event_id', ignoreDuplicates: true }).select('id');
+  if (error) throw error;
+  if (!inserted || !inserted.length) return; // retry of an event we already have
+
+  if (message && DELIVERY_STATUS[evt.event] && DELIVERY_RANK[evt.event] >= rankOfStatus(message.delivery_status)) {
+    await supabase.from('messages').update({
+      delivery_status: DELIVERY_STATUS[evt.event],
+      delivery_reason: ['bounce', 'dropped', 'deferred'].includes(evt.event) ? (evt.reason || evt.response || null) : null,
+      delivery_updated_at: occurredAt,
+    }).eq('id', message.id);
+    publishEvent('message.delivery', { ticketId: message.ticket?.ticket_id, messageId: message.id, status: DELIVERY_STATUS[evt.event] });
+  }
+
+  if (isAddressFailure(evt)) {
+    await flagBouncedCustomer(evt, message);
+    if (message) {
+      await supabase.from('messages').insert({
+        ticket_id: message.ticket_id,
+        sender_type: 'system',
+        sender_name: 'System',
+        content: `⚠️ Email to ${evt.email} ${evt.event === 'bounce' ? 'bounced' : 'was dropped'}${evt.reason ? `: ${evt.reason}` : ''}. The customer didn't receive it.`,
+      });
+    }
+  }
+}
+
+// ---- POST /webhook/sendgrid-events ----
+// SendGrid posts a JSON array of events; retries are safe (deduped on sg_event_id)
+app.post('/webhook/sendgrid-events', verifySendgridEvents, async (req, res) => {
   try {
-    const { status, priority, search, limit = 50 } = req.query;
+    const events = Array.isArray(req.body) ? req.body : [];
+    for (const evt of events) await recordDeliveryEvent(evt);
+    console.log(`📬 Processed ${events.length} SendGrid event(s)`);
+    res.status(200).send('OK');
+  } catch (error) {
+    console.error('❌ SendGrid events error:', error);
+    res.status(500).json({ error: 'Failed to process events', details: error.message });
+  }
+});
 
-    let query = supabase
-      .from('tickets')
-      .select(`*, customer:customers(*), messages(*), notes(*)`)
+// ---- PATCH /api/customers/:id/email-status ----
+// Clear the bounce flag once the address is fixed or confirmed working
+app.patch('/api/customers/:id/email-status', async (req, res) => {
+  try {
+    const { error } = await supabase.from('customers').update({ email_bounced_at: null, email_bounce_reason: null }).eq('id', req.params.id);
+    if (error) throw error;
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update customer email status', details: error.message });
+  }
+});
+
+
+// ============================================================
+// EMAIL OUTBOX
+// ============================================================
+// Every customer email is written to email_outbox before it goes to the
+// transport, then sent right away. Failures retry with exponential backoff
+// (OUTBOX_BASE_DELAY_SECONDS doubling, capped at 6h) until
+// OUTBOX_MAX_ATTEMPTS, then the row is dead-lettered and the ticket gets a
+// system message. Rejections that will never succeed (4xx other than 429)
+// are dead-lettered immediately.
+// Statuses: pending -> sending -> sent | pending (retry) | dead
+
+const OUTBOX_MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '6', 10);
+const OUTBOX_BASE_DELAY_SECONDS = parseInt(process.env.OUTBOX_BASE_DELAY_SECONDS || '60', 10);
+const OUTBOX_MAX_DELAY_SECONDS = 6 * 60 * 60;
+const OUTBOX_INTERVAL_MINUTES = parseInt(process.env.OUTBOX_INTERVAL_MINUTES || '1', 10);
+const OUTBOX_BATCH_SIZE = 25;
+const OUTBOX_STUCK_MINUTES = 10;
+
+function formatOutboxEmail(o) {
+  return {
+    id: o.id, kind: o.kind, status: o.status, attempts: o.attempts, lastError: o.last_error || null,
+    to: o.to_email, subject: o.subject, messageId: o.message_id || null,
+    nextAttemptAt: o.status === 'pending' ? o.next_attempt_at : null, updatedAt: o.updated_at,
+  };
+}
+
+function outboxBackoffSeconds(attempts) {
+  const delay = Math.min(OUTBOX_BASE_DELAY_SECONDS * Math.pow(2, attempts - 1), OUTBOX_MAX_DELAY_SECONDS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4)); // jitter so a backlog doesn't retry in lockstep
+}
+
+function isPermanentSendError(err) {
+  if (err.responseCode) return err.responseCode >= 500; // SMTP: 5xx is a hard fail, 4xx is try-again
+  const code = err.code || err.response?.statusCode;
+  return code >= 400 && code < 500 && code !== 429;
+}
+
+// ---- queueEmail(email, { kind, ticket, messageRowId }) ----
+// email is what sendEmail takes. Returns { outboxId, sent }; only throws if the row can't be saved.
+async function queueEmail(email, { kind = 'other', ticket = null, messageRowId = null } = {}) {
+  const now = new Date().toISOString();
+  const { data: row, error } = await supabase.from('email_outbox').insert({
+    kind,
+    status: 'sending', // we're about to try it ourselves
+    ticket_id: ticket?.id || null,
+    message_id: messageRowId || null,
+    to_email: email.to,
+    subject: email.subject,
+    text_body: email.text || '',
+    html_body: email.html || '',
+    reply_to: email.replyTo || null,
+    headers: email.headers || {},
+    message_id_header: email.messageId || null,
+    in_reply_to: email.inReplyTo || null,
+    references_header: email.references || [],
+    custom_args: email.customArgs || deliveryTrackingArgs(messageRowId, ticket?.ticket_id) || null,
+    attempts: 0,
+    next_attempt_at: now,
+  }).select().single();
+  if (error) throw error;
+  const sent = await deliverOutboxEmail(row);
+  return { outboxId: row.id, sent };
+}
+
+// One attempt at a claimed ('sending') row. Never throws.
+async function deliverOutboxEmail(row) {
+  const attempts = (row.attempts || 0) + 1;
+  const now = new Date();
+  try {
+    await sendEmail({
+      to: row.to_email,
+      subject: row.subject,
+      text: row.text_body,
+      html: row.html_body,
+      replyTo: row.reply_to || undefined,
+      headers: row.headers || undefined,
+      messageId: row.message_id_header || undefined,
+      inReplyTo: row.in_reply_to || undefined,
+      references: row.references_header || [],
+      customArgs: row.custom_args || undefined,
+    });
+    await supabase.from('email_outbox').update({ status: 'sent', attempts, sent_at: now.toISOString(), last_error: null, updated_at: now.toISOString() }).eq('id', row.id);
+    if (row.message_id) await markMessageSent(row.message_id);
+    return true;
+  } catch (err) {
+    const lastError = String(err.response?.body?.errors?.[0]?.message || err.message || 'Unknown error').slice(0, 500);
+    const dead = attempts >= OUTBOX_MAX_ATTEMPTS || isPermanentSendError(err);
+    const nextAttemptAt = new Date(now.getTime() + outboxBackoffSeconds(attempts) * 1000).toISOString();
+    await supabase.from('email_outbox').update({
+      status: dead ? 'dead' : 'pending',
+      attempts,
+      last_error: lastError,
+      next_attempt_at: dead ? null : nextAttemptAt,
+      updated_at: now.toISOString(),
+    }).eq('id', row.id);
+
+    if (row.message_id) {
+      await supabase.from('messages').update({ delivery_status: dead ? 'failed' : 'retrying', delivery_reason: lastError, delivery_updated_at: now.toISOString() }).eq('id', row.message_id);
+    }
+    if (dead && row.ticket_id) {
+      await supabase.from('messages').insert({
+        ticket_id: row.ticket_id,
+        sender_type: 'system',
+        sender_name: 'System',
+        content: `❌ ${row.kind.replace('_', ' ')} email to ${row.to_email} failed after ${attempts} attempt${attempts === 1 ? '' : 's'}: ${lastError}. It can be resent from the ticket.`,
+        metadata: { outbox_id: row.id },
+      });
+    }
+    if (row.ticket_id) {
+      const { data: t } = await supabase.from('tickets').select('ticket_id').eq('id', row.ticket_id).single();
+      if (t) publishEvent('message.delivery', { ticketId: t.ticket_id, messageId: row.message_id || null, status: dead ? 'failed' : 'retrying' });
+    }
+    console.error(`❌ Outbox ${row.id} (${row.kind} to ${row.to_email}) attempt ${attempts} failed${dead ? ', dead-lettered' : `, retrying at ${nextAttemptAt}`}: ${lastError}`);
+    return false;
+  }
+}
+
+async function processOutbox() {
+  const now = new Date();
+  // A crash mid-send leaves rows in 'sending'; hand them back to the queue
+  await supabase.from('email_outbox')
+    .update({ status: 'pending', updated_at: now.toISOString() })
+    .eq('status', 'sending')
+    .lt('updated_at', new Date(now.getTime() - OUTBOX_STUCK_MINUTES * 60 * 1000).toISOString());
+
+  const { data: due, error } = await supabase.from('email_outbox')
+    .select('*')
+    .eq('status', 'pending')
+    .lte('next_attempt_at', now.toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(OUTBOX_BATCH_SIZE);
+  if (error) throw error;
+
+  for (const row of due || []) {
+    // Claim it so a second instance doesn't send it too
+    const { data: claimed } = await supabase.from('email_outbox')
+      .update({ status: 'sending', updated_at: new Date().toISOString() })
+      .eq('id', row.id).eq('status', 'pending')
+      .select('id');
+    if (!claimed || !claimed.length) continue;
+    const sent = await deliverOutboxEmail(row);
+    if (sent) console.log(`📤 Outbox ${row.id} (${row.kind}) delivered on attempt ${(row.attempts || 0) + 1}`);
+  }
+}
+
+// ---- GET /api/outbox?status=dead ----
+app.get('/api/outbox', async (req, res) => {
+  try {
+    const { status, limit = 100 } = req.query;
+    let query = supabase.from('email_outbox')
+      .select('id, kind, status, attempts, last_error, to_email, subject, message_id, next_attempt_at, updated_at, created_at, ticket:tickets(ticket_id)')
       .order('updated_at', { ascending: false })
       .limit(limit);
+    if (status) query = query.eq('status', status);
+    else query = query.neq('status', 'sent');
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json({ emails: data.map(o => ({ ...formatOutboxEmail(o), ticketId: o.ticket?.ticket_id || null, createdAt: o.created_at })) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch outbox', details: error.message });
+  }
+});
 
-    if (status && status !== 'all') query = query.eq('status', status);
-    if (priority) query = query.eq('priority', priority);
+// ---- POST /api/outbox/:id/resend ----
+// Works on dead-lettered and waiting rows; starts a fresh set of attempts.
+app.post('/api/outbox/:id/resend', async (req, res) => {
+  try {
+    const { data: row } = await supabase.from('email_outbox').select('*').eq('id', req.params.id).single();
+    if (!row) return res.status(404).json({ error: 'Email not found' });
+    if (row.status === 'sent') return res.status(400).json({ error: 'Email was already sent' });
+
+    const { data: claimed } = await supabase.from('email_outbox')
+      .update({ status: 'sending', attempts: 0, next_attempt_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+      .eq('id', row.id).in('status', ['pending', 'dead'])
+      .select('*');
+    if (!claimed || !claimed.length) return res.status(409).json({ error: 'Email is being sent right now' });
+
+    console.log(`📤 Outbox ${row.id} resend requested by ${req.agent.name}`);
+    const sent = await deliverOutboxEmail(claimed[0]);
+    if (sent && row.ticket_id) {
+      await supabase.from('messages').insert({
+        ticket_id: row.ticket_id,
+        sender_type: 'system',
+        sender_name: 'System',
+        content: `${req.agent.name} resent the ${row.kind.replace('_', ' ')} email to ${row.to_email}.`,
+      });
+    }
+    res.json({ success: true, sent });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to resend email', details: error.message });
+  }
+});
 
-    const { data: tickets, error } = await query;
-    if (error) throw error;
 
-    const formatted = tickets.map(t => ({
-      id: t.ticket_id,
-      dbId: t.id,
-      customerId: t.customer_id,
-      customer: {
-        id: t.customer?.id,
-        name: t.customer?.name || 'Unknown',
-        email: t.customer?.email || '',
-        phone: t.customer?.phone || null,
-        orders: t.customer?.shopify_order_count || 0,
-        ltv: t.customer?.shopify_ltv || 0,
-        tags: t.customer?.tags || [],
-        altEmails: t.customer?.alt_emails || [],
-        possibleDuplicateOf: t.customer?.possible_duplicate_of || null,
-        ticketCount: t.customer?.ticket_count || 1,
-      },
-      subject: t.subject,
-      status: t.status,
-      priority: t.priority,
-      channel: t.channel,
-      aiTags: t.ai_tags || [],
-      aiSummary: t.ai_summary || '',
-      purpose: t.purpose,
-      createdAt: t.created_at,
-      updatedAt: t.updated_at,
-      order: null,
-      messages: (t.messages || [])
-        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
-        .map(m => ({
-          id: m.id, from: m.sender_type, name: m.sender_name, text: m.content, time: m.created_at,
-          metadata: m.metadata || {},
-        })),
-      notes: (t.notes || [])
-        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
-        .map(n => ({ id: n.id, author: n.author, text: n.content, time: n.created_at })),
-    }));
+// ============================================================
+// TICKETS
+// ============================================================
+
+// ---- Ticket formatting ----
+// List rows get the summary shape; GET /api/tickets/:ticketId adds the full
+// thread (messages + notes) on top of the same fields.
+
+function formatTicketBase(t) {
+  return {
+    id: t.ticket_id,
+    dbId: t.id,
+    customerId: t.customer_id,
+    customer: {
+      id: t.customer?.id,
+      name: t.customer?.name || 'Unknown',
+      email: t.customer?.email || '',
+      phone: t.customer?.phone || null,
+      orders: t.customer?.shopify_order_count || 0,
+      ltv: t.customer?.shopify_ltv || 0,
+      tags: t.customer?.tags || [],
+      altEmails: t.customer?.alt_emails || [],
+      possibleDuplicateOf: t.customer?.possible_duplicate_of || null,
+      ticketCount: t.customer?.ticket_count || 1,
+      emailBounced: t.customer?.email_bounced_at ? { at: t.customer.email_bounced_at, reason: t.customer.email_bounce_reason || null } : null,
+    },
+    subject: t.subject,
+    status: t.status,
+    priority: t.priority,
+    channel: t.channel,
+    aiTags: t.ai_tags || [],
+    aiSummary: t.ai_summary || '',
+    aiSummaryAt: t.ai_summary_at || null,
+    purpose: t.purpose,
+    language: t.language || null,
+    triage: formatTriage(t),
+    sentiment: formatSentiment(t),
+    assignee: t.assignee ? { id: t.assignee.id, name: t.assignee.name } : null,
+    createdAt: t.created_at,
+    updatedAt: t.updated_at,
+    sla: computeSla(t),
+    snooze: formatSnooze(t),
+    csat: t.csat_score ? { score: t.csat_score, comment: t.csat_comment || null, ratedAt: t.csat_rated_at } : null,
+    order: null,
+  };
+}
+
+// Unread = the customer spoke last (system messages don't count)
+function lastMessageSummary(m) {
+  if (!m) return { lastMessage: null, unread: false };
+  const text = (m.content || '').replace(/\s+/g, ' ').trim();
+  return {
+    lastMessage: { from: m.sender_type, name: m.sender_name, preview: text.length > 140 ? text.slice(0, 140) + '…' : text, time: m.created_at },
+    unread: m.sender_type === 'customer',
+  };
+}
+
+// Row selected with LIST_SELECT: counts and the latest non-system message only
+function formatTicketSummary(t) {
+  return {
+    ...formatTicketBase(t),
+    ...lastMessageSummary((t.latest || [])[0]),
+    messageCount: t.message_count?.[0]?.count || 0,
+    noteCount: t.note_count?.[0]?.count || 0,
+  };
+}
+
+// Row with the full messages/notes joins
+function formatTicket(t) {
+  const messages = (t.messages || []).sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  const notes = (t.notes || []).sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  return {
+    ...formatTicketBase(t),
+    ...lastMessageSummary(messages.filter(m => m.sender_type !== 'system').pop()),
+    messageCount: messages.length,
+    noteCount: notes.length,
+    messages: messages.map(m => ({
+      id: m.id, from: m.sender_type, name: m.sender_name, text: m.content, time: m.created_at,
+      metadata: m.metadata || {},
+      attachments: (m.attachments || []).map(formatAttachment),
+      delivery: m.delivery_status ? { status: m.delivery_status, reason: m.delivery_reason || null, updatedAt: m.delivery_updated_at } : null,
+      language: m.language || null,
+      translation: m.translation ? { text: m.translation.text, from: m.translation.from || null, at: m.translation.at } : null,
+      sentiment: m.sentiment ? { score: m.sentiment.score, label: m.sentiment.label, threats: m.sentiment.threats || [] } : null,
+    })),
+    notes: notes.map(n => ({ id: n.id, author: n.author, text: n.content, time: n.created_at })),
+    // Emails still retrying or given up on
+    outbox: (t.outbox || []).filter(o => o.status === 'dead' || (o.status === 'pending' && o.attempts > 0)).map(formatOutboxEmail),
+  };
+}
+
+const LIST_SELECT = `*, customer:customers(*), assignee:agents!assignee_id(id, name), message_count:messages(count), note_count:notes(count), latest:messages(sender_type, sender_name, content, created_at)`;
+const LIST_MAX_LIMIT = 100;
+// ?sla= is confirmed on computed timer state, which can drop rows; a page
+// reads at most this many batches before returning short with a cursor
+const LIST_MAX_BATCHES = 5;
+
+// Opaque keyset cursor: last row's (updated_at, id), or an offset for ranked search results
+function encodeCursor(obj) {
+  return Buffer.from(JSON.stringify(obj)).toString('base64url');
+}
+
+// The values end up inside a PostgREST .or() string, so anything that isn't
+// exactly a timestamp + row id (or an offset) is rejected as invalid
+const CURSOR_TIMESTAMP_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d{1,6})?(?:Z|[+-]\d{2}:?\d{2})?$/;
+const CURSOR_ID_RE = /^(?:\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+
+function decodeCursor(cursor) {
+  let obj;
+  try {
+    obj = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (!obj || typeof obj !== 'object') return null;
+  if ('o' in obj) return Number.isInteger(obj.o) && obj.o >= 0 ? { o: obj.o } : null;
+  if (CURSOR_TIMESTAMP_RE.test(String(obj.u)) && CURSOR_ID_RE.test(String(obj.i))) return { u: String(obj.u), i: String(obj.i) };
+  return null;
+}
+
+// ---- List filters (?status=&priority=&channel=&tag=&from=&to=&assignee=&snoozed=&sla=&sentiment=) ----
+// Shared by the page query and the search lookups; col() names a tickets
+// column as the query sees it ('tickets.status' when tickets is embedded).
+function applyTicketFilters(query, filters, agentId, col = c => c) {
+  const { status, priority, channel, tag, from, to, sla, assignee, snoozed, sentiment, searching } = filters;
+  if (status && status !== 'all') query = query.eq(col('status'), status);
+  if (priority) query = query.eq(col('priority'), priority);
+  if (channel) query = query.eq(col('channel'), channel);
+  if (tag) query = query.contains(col('ai_tags'), [tag]);
+  if (from) query = query.gte(col('created_at'), from);
+  if (to) query = query.lte(col('created_at'), to);
+  if (assignee === 'unassigned') query = query.is(col('assignee_id'), null);
+  else if (assignee === 'me') query = query.eq(col('assignee_id'), agentId);
+  else if (assignee) query = query.eq(col('assignee_id'), assignee);
+  // Snoozed tickets stay out of the queue unless asked for (search always includes them)
+  if (snoozed === 'only') query = query.not(col('snoozed_at'), 'is', null);
+  else if (snoozed !== 'include' && !searching) query = query.is(col('snoozed_at'), null);
+  // Breach/at-risk stamps narrow the page in the DB; computed SLA state confirms below
+  if (sla === 'breached') query = query.not(col('sla_breached_at'), 'is', null);
+  else if (sla === 'at_risk') query = query.not(col('sla_at_risk_at'), 'is', null);
+  // sentiment=angry|negative|neutral|positive matches the latest message; escalated = flagged in the last day
+  if (sentiment === 'escalated') query = query.gte(col('escalated_at'), new Date(Date.now() - ESCALATION_COOLDOWN_HOURS * 60 * 60 * 1000).toISOString());
+  else if (sentiment) query = query.eq(col('sentiment_label'), sentiment);
+  return query;
+}
+
+// ---- GET /api/tickets ----
+// Summary rows, newest activity first. Pass ?cursor=<nextCursor> for the next page.
+app.get('/api/tickets', async (req, res) => {
+  try {
+    const { status, priority, channel, tag, from, to, search, sla, assignee, snoozed, sentiment, cursor } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '50', 10) || 50, 1), LIST_MAX_LIMIT);
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !after) return res.status(400).json({ error: 'Invalid cursor' });
+
+    // Search looks terms up with the list filters already applied, so the
+    // capped candidate set only holds tickets this page could show
+    const terms = search ? parseSearchTerms(search) : [];
+    const filters = { status, priority, channel, tag, from, to, sla, assignee, snoozed, sentiment, searching: terms.length > 0 };
+    const filter = (q, col) => applyTicketFilters(q, filters, req.agent.id, col);
+    let candidateIds = null, orderMatches = null;
+    if (terms.length) {
+      ({ ids: candidateIds, orderMatches } = await searchTicketIds(terms, filter));
+      if (!candidateIds.length) return res.json({ tickets: [], nextCursor: null });
+    }
+
+    // Ranking needs the text, so search pulls content for its (capped) candidate set
+    const listQuery = (key, size) => {
+      let query = supabase
+        .from('tickets')
+        .select(terms.length ? `${LIST_SELECT}, messages(sender_type, content), notes(content)` : LIST_SELECT)
+        .order('created_at', { referencedTable: 'latest', ascending: false })
+        .limit(1, { referencedTable: 'latest' })
+        .neq('latest.sender_type', 'system')
+        .order('updated_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(size);
+      if (candidateIds) query = query.in('id', candidateIds);
+      else if (key) query = query.or(`updated_at.lt."${key.u}",and(updated_at.eq."${key.u}",id.lt."${key.i}")`);
+      return filter(query);
+    };
+
+    // The breach/at-risk stamps narrow rows in the DB; the computed SLA state decides
+    const slaMatch = t => sla === 'breached' ? t.sla.breached : sla === 'at_risk' ? t.sla.atRisk && !t.sla.breached : true;
+
+    let tickets = [], nextCursor = null;
+    if (terms.length) {
+      const { data: rows, error } = await listQuery(null, SEARCH_MAX_CANDIDATES);
+      if (error) throw error;
+      const offset = after?.o || 0;
+      const ranked = rows
+        .map(t => ({ ...formatTicketSummary(t), search: rankTicket(t, terms, orderMatches) }))
+        .filter(t => t.search.score > 0 && slaMatch(t))
+        .sort((a, b) => b.search.score - a.search.score || new Date(b.updatedAt) - new Date(a.updatedAt));
+      tickets = ranked.slice(offset, offset + limit);
+      if (ranked.length > offset + limit) nextCursor = encodeCursor({ o: offset + limit });
+    } else {
+      // Keep reading until the page is full; the cursor resumes after the last row read
+      let key = after;
+      for (let batch = 0; batch < LIST_MAX_BATCHES; batch++) {
+        const { data: rows, error } = await listQuery(key, limit + 1);
+        if (error) throw error;
+        let read = 0;
+        for (; read < rows.length && tickets.length < limit; read++) {
+          key = { u: rows[read].updated_at, i: rows[read].id };
+          const t = formatTicketSummary(rows[read]);
+          if (slaMatch(t)) tickets.push(t);
+        }
+        const more = read < rows.length || rows.length > limit;
+        if (!more) break;
+        if (tickets.length === limit || batch === LIST_MAX_BATCHES - 1) {
+          nextCursor = encodeCursor(key);
+          break;
+        }
+      }
+    }
 
-    res.json({ tickets: formatted });
+    res.json({ tickets, nextCursor });
   } catch (error) {
     console.error('❌ Error fetching tickets:', error);
     res.status(500).json({ error: 'Failed to fetch tickets', details: error.message });
@@ -793,122 +2205,695 @@ app.get('/api/tickets/:ticketId', async (req, res) => {
   try {
     const { data: ticket, error } = await supabase
       .from('tickets')
-      .select(`*, customer:customers(*), messages(*), notes(*)`)
+      .select(`*, customer:customers(*), assignee:agents!assignee_id(id, name), messages(*, attachments(*)), notes(*), outbox:email_outbox(id, kind, status, attempts, last_error, to_email, subject, message_id, next_attempt_at, updated_at)`)
       .eq('ticket_id', req.params.ticketId)
       .single();
     if (error || !ticket) return res.status(404).json({ error: 'Ticket not found' });
-    res.json({ ticket });
+    res.json({ ticket: formatTicket(ticket) });
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch ticket', details: error.message });
   }
-});
-
+});
+
+
+// ---- PATCH /api/tickets/:ticketId/status ----
+app.patch('/api/tickets/:ticketId/status', async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!TICKET_STATUSES.includes(status)) return res.status(400).json({ error: 'Invalid status' });
+    const { data: ticket } = await supabase.from('tickets').select('*').eq('ticket_id', req.params.ticketId).single();
+    if (!ticket) return res.status(404).json({ error: 'Ticket not found' });
+    const updates = await updateTicketStatus(ticket, status);
+
+    let csatSent = false;
+    if (status === 'resolved' && ticket.status !== 'resolved') {
+      try {
+        csatSent = await sendCsatSurvey({ ...ticket, ...updates });
+      } catch (emailErr) {
+        console.error('❌ CSAT email failed:', emailErr.message);
+      }
+    }
+    res.json({ success: true, csatSent });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update status', details: error.message });
+  }
+});
+
+// ---- PATCH /api/tickets/:ticketId/priority ----
+app.patch('/api/tickets/:ticketId/priority', async (req, res) => {
+  try {
+    const { priority } = req.body;
+    if (!TICKET_PRIORITIES.includes(priority)) return res.status(400).json({ error: 'Invalid priority' });
+    const { data: ticket } = await supabase.from('tickets').select('*').eq('ticket_id', req.params.ticketId).single();
+    if (!ticket) return res.status(404).json({ error: 'Ticket not found' });
+    await updateTicketPriority(ticket, priority);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update priority', details: error.message });
+  }
+});
+
+
+// ---- POST /api/tickets/:ticketId/assign ----
+// Body: { agent_id } — defaults to the calling agent
+app.post('/api/tickets/:ticketId/assign', async (req, res) => {
+  try {
+    const agentId = req.body.agent_id || req.agent.id;
+    const { data: agent } = await supabase.from('agents').select('id, name, is_active').eq('id', agentId).single();
+    if (!agent || agent.is_active === false) return res.status(400).json({ error: 'Agent not found or inactive' });
+    const { data: ticket } = await supabase.from('tickets').select('id, ticket_id, assignee_id').eq('ticket_id', req.params.ticketId).single();
+    if (!ticket) return res.status(404).json({ error: 'Ticket not found' });
+    if (ticket.assignee_id === agent.id) return res.json({ success: true, assignee: { id: agent.id, name: agent.name } });
+
+    const now = new Date().toISOString();
+    const { error } = await supabase.from('tickets').update({ assignee_id: agent.id, updated_at: now }).eq('id', ticket.id);
+    if (error) throw error;
+    await supabase.from('messages').insert({
+      ticket_id: ticket.id,
+      sender_type: 'system',
+      sender_name: 'System',
+      content: agent.id === req.agent.id ? `${agent.name} took this ticket.` : `Assigned to ${agent.name} by ${req.agent.name}.`,
+    });
+    console.log(`👤 ${ticket.ticket_id} assigned to ${agent.name} by ${req.agent.name}`);
+    publishEvent('ticket.updated', { ticketId: ticket.ticket_id, changes: { assignee: { id: agent.id, name: agent.name } }, by: req.agent.id });
+    res.json({ success: true, assignee: { id: agent.id, name: agent.name } });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to assign ticket', details: error.message });
+  }
+});
+
+// ---- POST /api/tickets/:ticketId/unassign ----
+app.post('/api/tickets/:ticketId/unassign', async (req, res) => {
+  try {
+    const { data: ticket } = await supabase.from('tickets').select('id, ticket_id, assignee:agents!assignee_id(name)').eq('ticket_id', req.params.ticketId).single();
+    if (!ticket) return res.status(404).json({ error: 'Ticket not found' });
+    if (!ticket.assignee) return res.json({ success: true });
+
+    const { error } = await supabase.from('tickets').update({ assignee_id: null, updated_at: new Date().toISOString() }).eq('id', ticket.id);
+    if (error) throw error;
+    await supabase.from('messages').insert({
+      ticket_id: ticket.id,
+      sender_type: 'system',
+      sender_name: 'System',
+      content: `Unassigned from ${ticket.assignee.name} by ${req.agent.name}.`,
+    });
+    publishEvent('ticket.updated', { ticketId: ticket.ticket_id, changes: { assignee: null }, by: req.agent.id });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to unassign ticket', details: error.message });
+  }
+});
+
+
+// The customer-facing email for an agent reply: { to, subject, text, html, headers }
+function composeReplyEmail(ticket, content, agent) {
+  // Append the agent's signature unless they already signed off with it
+  const signature = agentSignature(agent);
+  const signed = content.trim().endsWith(signature) ? content : `${content.trimEnd()}\n\n${signature}`;
+
+  // Convert [text](url) markdown links to HTML
+  const bodyHTML = signed
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^\)]+)\)/g, '<a href="$2" style="color:#2C6ECB;text-decoration:underline;">$1</a>')
+    .replace(/\n/g, '<br>');
+
+  // Plain text version: convert [text](url) to "text: url"
+  const plainText = signed
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^\)]+)\)/g, '$1: $2')
+    + `\n\n---\nRef: ${ticket.ticket_id}`;
+
+  return {
+    to: ticket.customer?.email || null,
+    subject: `Re: ${ticket.subject} [${ticket.ticket_id}]`,
+    text: plainText,
+    html: emailTemplate(bodyHTML, ticket.ticket_id),
+    headers: { 'X-Ticket-ID': ticket.ticket_id },
+  };
+}
+
+// ---- POST /api/tickets/:ticketId/reply/preview ----
+// Renders exactly what /reply would email, without saving or sending anything.
+app.post('/api/tickets/:ticketId/reply/preview', async (req, res) => {
+  try {
+    const { content } = req.body;
+    if (!content) return res.status(400).json({ error: 'Reply content is required' });
+    const { data: ticket } = await supabase.from('tickets')
+      .select('id, ticket_id, subject, customer:customers(email, name)')
+      .eq('ticket_id', req.params.ticketId).single();
+    if (!ticket) return res.status(404).json({ error: 'Ticket not found' });
+
+    const { inReplyTo, references } = await threadingHeadersForTicket(ticket.id);
+    res.json({
+      ...composeReplyEmail(ticket, content, req.agent),
+      from: { email: FROM_EMAIL, name: FROM_NAME },
+      inReplyTo,
+      references,
+      transport: mailTransport.name,
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to preview reply', details: error.message });
+  }
+});
+
+// ---- POST /api/tickets/:ticketId/reply ----
+// Pass the draftId from /draft when the reply started as an AI draft.
+app.post('/api/tickets/:ticketId/reply', async (req, res) => {
+  try {
+    const { content, draftId = null } = req.body;
+    if (!content) return res.status(400).json({ error: 'Reply content is required' });
+    const sender_name = req.agent.name;
+    const { data: ticket } = await supabase.from('tickets')
+      .select('id, ticket_id, subject, first_response_at, customer:customers(email, name)')
+      .eq('ticket_id', req.params.ticketId).single();
+    if (!ticket) return res.status(404).json({ error: 'Ticket not found' });
+
+    // Thread under the customer's latest email before we add ours to the chain
+    const { inReplyTo, references } = await threadingHeadersForTicket(ticket.id);
+    const messageId = generateMessageId(ticket.ticket_id);
+
+    // Save message to DB
+    const { data: saved, error } = await supabase.from('messages').insert({
+      ticket_id: ticket.id, sender_type: 'agent', sender_name, content,
+      email_message_id: messageId,
+      metadata: { agent_id: req.agent.id },
+    }).select('id').single();
+    if (error) throw error;
+    const ticketUpdates = { ...STALE_SUMMARY, updated_at: new Date().toISOString() };
+    if (!ticket.first_response_at) ticketUpdates.first_response_at = ticketUpdates.updated_at;
+    await supabase.from('tickets').update(ticketUpdates).eq('id', ticket.id);
+    if (draftId) await linkDraftToReply(draftId, ticket, saved.id, content, req.agent);
+
+    // Send email to customer (through the outbox, so failures retry)
+    let emailSent = false, emailQueued = false, emailFileOnly = false;
+    if (ticket.customer?.email) {
+      try {
+        const { sent } = await queueEmail({
+          ...composeReplyEmail(ticket, content, req.agent),
+          messageId,
+          inReplyTo,
+          references,
+        }, { kind: 'reply', ticket, messageRowId: saved.id });
+        emailSent = sent && EMAIL_IS_LIVE;
+        emailFileOnly = sent && !EMAIL_IS_LIVE;
+        emailQueued = !sent;
+      } catch (emailErr) {
+        console.error('❌ Email queue failed:', emailErr.message);
+        // Don't fail the whole request — message is saved, email just didn't send
+      }
+    }
+
+    publishEvent('message.created', { ticketId: ticket.ticket_id, from: 'agent', by: req.agent.id });
+    res.json({ success: true, emailSent, emailQueued, emailFileOnly });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to send reply', details: error.message });
+  }
+});
+
+
+// ---- POST /api/tickets/:ticketId/notes ----
+app.post('/api/tickets/:ticketId/notes', async (req, res) => {
+  try {
+    const { content } = req.body;
+    if (!content) return res.status(400).json({ error: 'Note content is required' });
+    const author = req.agent.name;
+    const { data: ticket } = await supabase.from('tickets').select('id, customer_id').eq('ticket_id', req.params.ticketId).single();
+    if (!ticket) return res.status(404).json({ error: 'Ticket not found' });
+
+    const { data: note, error } = await supabase.from('notes').insert({ ticket_id: ticket.id, author, content }).select().single();
+    if (error) throw error;
+
+    const newTags = generateTagsFromNote(content);
+    if (newTags.length > 0 && ticket.customer_id) {
+      const { data: customer } = await supabase.from('customers').select('tags').eq('id', ticket.customer_id).single();
+      if (customer) {
+        const merged = [...new Set([...(customer.tags || []), ...newTags])];
+        await supabase.from('customers').update({ tags: merged, updated_at: new Date().toISOString() }).eq('id', ticket.customer_id);
+        console.log(`🏷 Smart tags: ${newTags.join(', ')}`);
+      }
+    }
+
+    publishEvent('note.created', { ticketId: req.params.ticketId, by: req.agent.id });
+    res.json({ success: true, note, newCustomerTags: newTags });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to add note', details: error.message });
+  }
+});
+
+
+// ---- GET /api/webhooks/rejections ---- (admin)
+// Recent rejected webhook calls, newest first
+app.get('/api/webhooks/rejections', requireRole('admin'), async (req, res) => {
+  try {
+    const { source, since, limit = 100 } = req.query;
+    let query = supabase.from('webhook_rejections').select('*').order('created_at', { ascending: false }).limit(limit);
+    if (source) query = query.eq('source', source);
+    if (since) query = query.gte('created_at', since);
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json({ rejections: data, count: data.length });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch webhook rejections', details: error.message });
+  }
+});
+
+
+// ============================================================
+// REAL-TIME EVENTS (Server-Sent Events)
+// ============================================================
+// GET /api/events streams ticket activity to open dashboards:
+//   ticket.created, ticket.updated, ticket.status, message.created,
+//   note.created, presence
+// Payloads carry the public ticketId (plus `by` when an agent caused it);
+// clients refetch the ticket for the details. Presence ("viewing"/"typing")
+// lives in memory and expires unless the client keeps refreshing it.
+
+const EVENT_HEARTBEAT_MS = 25 * 1000;
+const PRESENCE_TTL_MS = 30 * 1000;
+const PRESENCE_SWEEP_MS = 10 * 1000;
+const eventClients = new Set();  // { res, agentId }
+const presence = new Map();      // ticketId -> Map(agentId -> { agentId, name, state, at })
+
+function publishEvent(type, data) {
+  if (!eventClients.size) return;
+  const frame = `event: ${type}\ndata: ${JSON.stringify({ ...data, at: new Date().toISOString() })}\n\n`;
+  for (const client of eventClients) client.res.write(frame);
+}
+
+// Live entries for a ticket, dropping any that have gone stale
+function presenceList(ticketId) {
+  const entries = presence.get(ticketId);
+  if (!entries) return [];
+  const now = Date.now();
+  for (const [agentId, p] of entries) if (now - p.at > PRESENCE_TTL_MS) entries.delete(agentId);
+  if (!entries.size) presence.delete(ticketId);
+  return [...entries.values()].map(p => ({ agentId: p.agentId, name: p.name, state: p.state }));
+}
+
+function setPresence(ticketId, agent, state) {
+  // An agent is only ever on one ticket at a time
+  for (const [otherId, entries] of presence) {
+    if (otherId !== ticketId && entries.delete(agent.id)) publishEvent('presence', { ticketId: otherId, agents: presenceList(otherId) });
+  }
+  if (!presence.has(ticketId)) presence.set(ticketId, new Map());
+  if (state === 'left') presence.get(ticketId).delete(agent.id);
+  else presence.get(ticketId).set(agent.id, { agentId: agent.id, name: agent.name, state, at: Date.now() });
+  publishEvent('presence', { ticketId, agents: presenceList(ticketId) });
+}
+
+function clearPresence(agentId) {
+  for (const [ticketId, entries] of presence) {
+    if (entries.delete(agentId)) publishEvent('presence', { ticketId, agents: presenceList(ticketId) });
+  }
+}
+
+// Announce expiries too, or a closed laptop shows as "viewing" until someone else moves
+function sweepPresence() {
+  for (const [ticketId, entries] of presence) {
+    const before = entries.size;
+    const agents = presenceList(ticketId);
+    if (agents.length !== before) publishEvent('presence', { ticketId, agents });
+  }
+}
+
+// ---- GET /api/events/token ----
+// One-use ticket for opening the event stream; valid for STREAM_TOKEN_TTL_MS.
+app.get('/api/events/token', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({ token: issueStreamToken(req.sessionId), expiresIn: STREAM_TOKEN_TTL_MS / 1000 });
+});
+
+// ---- GET /api/events ---- (SSE; Authorization header or ?stream_token= from /api/events/token)
+app.get('/api/events', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // don't let a proxy buffer the stream
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  // Snapshot of who's where, so a fresh tab doesn't wait for the next change
+  for (const ticketId of [...presence.keys()]) {
+    const agents = presenceList(ticketId);
+    if (agents.length) res.write(`event: presence\ndata: ${JSON.stringify({ ticketId, agents })}\n\n`);
+  }
+
+  const client = { res, agentId: req.agent.id };
+  eventClients.add(client);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENT_HEARTBEAT_MS);
+  console.log(`📡 ${req.agent.name} connected to events (${eventClients.size} open)`);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    eventClients.delete(client);
+    // Only clear presence once the agent's last tab is gone
+    if (![...eventClients].some(c => c.agentId === client.agentId)) clearPresence(client.agentId);
+  });
+});
+
+// ---- POST /api/tickets/:ticketId/presence ----
+// Body: { state: 'viewing' | 'typing' | 'left' }. Clients refresh every ~15s.
+app.post('/api/tickets/:ticketId/presence', async (req, res) => {
+  try {
+    const { state } = req.body;
+    if (!['viewing', 'typing', 'left'].includes(state)) return res.status(400).json({ error: 'Invalid state' });
+    const { data: ticket } = await supabase.from('tickets').select('id').eq('ticket_id', req.params.ticketId).maybeSingle();
+    if (!ticket) return res.status(404).json({ error: 'Ticket not found' });
+    setPresence(req.params.ticketId, req.agent, state);
+    res.json({ success: true, agents: presenceList(req.params.ticketId) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update presence', details: error.message });
+  }
+});
+
+
+// ============================================================
+// ATTACHMENTS
+// ============================================================
+
+// ---- GET /api/tickets/:ticketId/attachments ----
+app.get('/api/tickets/:ticketId/attachments', async (req, res) => {
+  try {
+    const { data: ticket } = await supabase.from('tickets').select('id').eq('ticket_id', req.params.ticketId).single();
+    if (!ticket) return res.status(404).json({ error: 'Ticket not found' });
+    const { data, error } = await supabase.from('attachments').select('*').eq('ticket_id', ticket.id).order('created_at', { ascending: true });
+    if (error) throw error;
+    res.json({ attachments: data.map(a => ({ ...formatAttachment(a), messageId: a.message_id, createdAt: a.created_at })) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch attachments', details: error.message });
+  }
+});
+
+// ---- GET /api/attachments/:id ---- (download)
+// ---- GET /api/attachments/:id/preview ---- (inline, images/PDF/text only)
+async function sendAttachment(req, res, inline) {
+  try {
+    const { data: attachment } = await supabase.from('attachments').select('*').eq('id', req.params.id).single();
+    if (!attachment) return res.status(404).json({ error: 'Attachment not found' });
+    if (inline && !PREVIEWABLE_TYPES.includes(attachment.content_type)) {
+      return res.status(415).json({ error: 'Preview not available for this file type' });
+    }
+    const store = attachmentStores[attachment.storage] || attachmentStore;
+    const buffer = await store.get(attachment.storage_key);
+    const filename = encodeURIComponent(attachment.filename);
+    res.set({
+      'Content-Type': attachment.content_type,
+      'Content-Length': buffer.length,
+      'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${filename}`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, max-age=3600',
+    });
+    res.send(buffer);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch attachment', details: error.message });
+  }
+}
+
+app.get('/api/attachments/:id', (req, res) => sendAttachment(req, res, false));
+app.get('/api/attachments/:id/preview', (req, res) => sendAttachment(req, res, true));
+
+
+// ============================================================
+// ROUTING
+// ============================================================
+// New tickets from the contact form / inbound email get an owner:
+// 1. first active routing rule (by sort_order) whose purpose/channel match
+// 2. otherwise round-robin across agents accepting tickets (least recently assigned)
+// ROUTING_MODE=rules_only skips step 2, ROUTING_MODE=off disables routing.
+
+const ROUTING_MODE = process.env.ROUTING_MODE || 'round_robin';
+
+async function routeTicket({ purpose, channel }) {
+  if (ROUTING_MODE === 'off') return null;
+  try {
+    const { data: rules } = await supabase
+      .from('routing_rules')
+      .select('*, agent:agents(id, name, is_active)')
+      .eq('is_active', true)
+      .order('sort_order', { ascending: true });
+    const rule = (rules || []).find(r =>
+      (!r.purpose || r.purpose === purpose) &&
+      (!r.channel || r.channel === channel) &&
+      r.agent && r.agent.is_active !== false
+    );
+
+    let agent = rule ? rule.agent : null;
+    if (!agent && ROUTING_MODE === 'round_robin') {
+      const { data: pool } = await supabase
+        .from('agents')
+        .select('id, name, last_assigned_at')
+        .eq('is_active', true)
+        .not('accepts_tickets', 'is', false) // null (never set) counts as accepting, same as publicAgent
+        .in('role', ['admin', 'agent'])
+        .order('last_assigned_at', { ascending: true, nullsFirst: true })
+        .limit(1);
+      agent = pool && pool.length > 0 ? pool[0] : null;
+    }
+    if (!agent) return null;
+
+    await supabase.from('agents').update({ last_assigned_at: new Date().toISOString() }).eq('id', agent.id);
+    console.log(`👤 Routed ${purpose} (${channel}) to ${agent.name}${rule ? ` via rule "${rule.name}"` : ' (round-robin)'}`);
+    return agent.id;
+  } catch (err) {
+    console.error('❌ Routing failed:', err.message);
+    return null;
+  }
+}
+
+// ---- GET /api/routing/rules ----
+app.get('/api/routing/rules', async (req, res) => {
+  try {
+    const { data, error } = await supabase.from('routing_rules').select('*, agent:agents(id, name)').order('sort_order', { ascending: true });
+    if (error) throw error;
+    res.json({ rules: data, mode: ROUTING_MODE });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch routing rules', details: error.message });
+  }
+});
+
+// ---- POST /api/routing/rules ---- (admin)
+app.post('/api/routing/rules', requireRole('admin'), async (req, res) => {
+  try {
+    const { name, purpose = null, channel = null, agent_id, sort_order = 100 } = req.body;
+    if (!name || !agent_id) return res.status(400).json({ error: 'name and agent_id required' });
+    if (!purpose && !channel) return res.status(400).json({ error: 'A rule needs a purpose or channel to match on' });
+    const { data, error } = await supabase.from('routing_rules').insert({
+      name, purpose, channel, agent_id, sort_order, is_active: true,
+    }).select().single();
+    if (error) throw error;
+    res.json({ success: true, rule: data });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to add routing rule', details: error.message });
+  }
+});
+
+// ---- PUT /api/routing/rules/:id ---- (admin)
+app.put('/api/routing/rules/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const updates = { updated_at: new Date().toISOString() };
+    for (const key of ['name', 'purpose', 'channel', 'agent_id', 'sort_order', 'is_active']) {
+      if (req.body[key] !== undefined) updates[key] = req.body[key];
+    }
+    const { data, error } = await supabase.from('routing_rules').update(updates).eq('id', req.params.id).select().single();
+    if (error) throw error;
+    res.json({ success: true, rule: data });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update routing rule', details: error.message });
+  }
+});
+
+// ---- DELETE /api/routing/rules/:id ---- (admin)
+app.delete('/api/routing/rules/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { error } = await supabase.from('routing_rules').delete().eq('id', req.params.id);
+    if (error) throw error;
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete routing rule', details: error.message });
+  }
+});
+
+
+// ============================================================
+// SLA POLICIES
+// ============================================================
+// A policy matches on priority / purpose / channel (empty = any); the most
+// specific active match wins, else DEFAULT_SLA for the priority.
+// Due times are stamped on the ticket at creation (and on priority change).
+// Reopening a resolved ticket restarts the resolution clock from the reopen
+// (resolution_started_at); the first-response clock never restarts.
+
+const DEFAULT_SLA = {
+  urgent: { first_response_minutes: 2 * 60, resolution_minutes: 24 * 60 },
+  high: { first_response_minutes: 4 * 60, resolution_minutes: 48 * 60 },
+  normal: { first_response_minutes: 8 * 60, resolution_minutes: 72 * 60 },
+  low: { first_response_minutes: 24 * 60, resolution_minutes: 7 * 24 * 60 },
+};
+const SLA_AT_RISK_PERCENT = parseInt(process.env.SLA_AT_RISK_PERCENT || '25', 10);
+const SLA_CHECK_INTERVAL_MINUTES = parseInt(process.env.SLA_CHECK_INTERVAL_MINUTES || '5', 10);
+
+async function findSlaPolicy({ priority, purpose, channel }) {
+  const { data } = await supabase.from('sla_policies').select('*').eq('is_active', true);
+  let best = null;
+  let bestScore = -1;
+  for (const p of data || []) {
+    if (p.priority && p.priority !== priority) continue;
+    if (p.purpose && p.purpose !== purpose) continue;
+    if (p.channel && p.channel !== channel) continue;
+    const score = (p.priority ? 1 : 0) + (p.purpose ? 1 : 0) + (p.channel ? 1 : 0);
+    if (score > bestScore) { best = p; bestScore = score; }
+  }
+  return best;
+}
+
+async function slaFieldsForTicket({ priority, purpose, channel }, createdAt = new Date(), resolutionStartedAt = null) {
+  const policy = await findSlaPolicy({ priority, purpose, channel });
+  const targets = policy || DEFAULT_SLA[priority] || DEFAULT_SLA.normal;
+  const start = new Date(createdAt).getTime();
+  const resolutionStart = new Date(resolutionStartedAt || createdAt).getTime();
+  return {
+    sla_policy_id: policy ? policy.id : null,
+    first_response_due_at: new Date(start + targets.first_response_minutes * 60000).toISOString(),
+    resolution_due_at: new Date(resolutionStart + targets.resolution_minutes * 60000).toISOString(),
+    sla_at_risk_at: null,
+    sla_breached_at: null,
+  };
+}
+
+// ---- Reopen: fresh resolution clock from now ----
+// Keeps the breach stamp only while an unanswered first response is still overdue.
+async function reopenSlaFields(ticket, now = new Date()) {
+  const { resolution_due_at } = await slaFieldsForTicket(ticket, ticket.created_at, now);
+  const updates = { resolved_at: null, resolution_started_at: now.toISOString(), resolution_due_at, sla_at_risk_at: null, sla_breached_at: null };
+  const { firstResponse } = computeSla({ ...ticket, ...updates }, now.getTime());
+  if (firstResponse && !firstResponse.completedAt && firstResponse.breached) updates.sla_breached_at = ticket.sla_breached_at || null;
+  return updates;
+}
+
+function slaTimer(startAt, dueAt, doneAt, now) {
+  if (!dueAt) return null;
+  const start = new Date(startAt).getTime();
+  const due = new Date(dueAt).getTime();
+  const end = doneAt ? new Date(doneAt).getTime() : now;
+  const remaining = due - end;
+  return {
+    dueAt,
+    completedAt: doneAt || null,
+    elapsedMinutes: Math.round((end - start) / 60000),
+    minutesRemaining: Math.round(remaining / 60000),
+    breached: remaining < 0,
+    atRisk: !doneAt && remaining >= 0 && (remaining / Math.max(due - start, 1)) * 100 <= SLA_AT_RISK_PERCENT,
+  };
+}
+
+// ---- SLA state for a ticket row (breach / at-risk per timer) ----
+function computeSla(ticket, now = Date.now()) {
+  const firstResponse = slaTimer(ticket.created_at, ticket.first_response_due_at, ticket.first_response_at, now);
+  const resolution = slaTimer(ticket.resolution_started_at || ticket.created_at, ticket.resolution_due_at, ticket.resolved_at, now);
+  const timers = [firstResponse, resolution].filter(Boolean);
+  return {
+    policyId: ticket.sla_policy_id || null,
+    firstResponse,
+    resolution,
+    breached: timers.some(t => t.breached),
+    atRisk: timers.some(t => t.atRisk),
+  };
+}
+
+// ---- Periodic check: flag at-risk tickets, escalate breaches ----
+async function checkSlaBreaches() {
+  const { data: tickets, error } = await supabase
+    .from('tickets')
+    .select('id, ticket_id, priority, purpose, channel, status, created_at, sla_policy_id, first_response_due_at, first_response_at, resolution_started_at, resolution_due_at, resolved_at, sla_at_risk_at, sla_breached_at')
+    .in('status', ['open', 'pending'])
+    .is('snoozed_at', null); // snoozed tickets are checked once they wake
+  if (error) throw error;
+
+  const now = new Date().toISOString();
+  for (const t of tickets || []) {
+    const { firstResponse, resolution } = computeSla(t);
+    // Only act on clocks that are still running
+    const running = [['first response', firstResponse], ['resolution', resolution]].filter(([, timer]) => timer && !timer.completedAt);
+    const breached = running.find(([, timer]) => timer.breached);
+    const atRisk = running.find(([, timer]) => timer.atRisk);
+
+    if (breached && !t.sla_breached_at) {
+      const [which, timer] = breached;
+      // Through updateTicketPriority so the due-at times move to the urgent targets
+      await updateTicketPriority({ ...t, sla_breached_at: now }, 'urgent');
+      await supabase.from('messages').insert({
+        ticket_id: t.id,
+        sender_type: 'system',
+        sender_name: 'System',
+        content: `⏰ SLA breached: ${which} was due ${new Date(timer.dueAt).toLocaleString('en-US')}. Escalated to urgent.`,
+      });
+      console.log(`⏰ SLA breached on ${t.ticket_id} (${which}), escalated`);
+      publishEvent('ticket.updated', { ticketId: t.ticket_id, changes: { priority: 'urgent', slaBreached: true } });
+    } else if (!breached && atRisk && !t.sla_at_risk_at) {
+      const [which, timer] = atRisk;
+      await supabase.from('tickets').update({ sla_at_risk_at: now }).eq('id', t.id);
+      await supabase.from('messages').insert({
+        ticket_id: t.id,
+        sender_type: 'system',
+        sender_name: 'System',
+        content: `⚠️ SLA at risk: ${which} due in ${timer.minutesRemaining} min.`,
+      });
+      console.log(`⚠️ SLA at risk on ${t.ticket_id} (${which})`);
+    }
+  }
+}
 
-// ---- PATCH /api/tickets/:ticketId/status ----
-app.patch('/api/tickets/:ticketId/status', async (req, res) => {
+// ---- GET /api/sla/policies ----
+app.get('/api/sla/policies', async (req, res) => {
   try {
-    const { status } = req.body;
-    if (!['open', 'pending', 'resolved', 'closed'].includes(status)) return res.status(400).json({ error: 'Invalid status' });
-    const { error } = await supabase.from('tickets').update({ status, updated_at: new Date().toISOString() }).eq('ticket_id', req.params.ticketId);
+    const { data, error } = await supabase.from('sla_policies').select('*').order('created_at', { ascending: true });
     if (error) throw error;
-    res.json({ success: true });
+    res.json({ policies: data, defaults: DEFAULT_SLA });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to update status', details: error.message });
+    res.status(500).json({ error: 'Failed to fetch SLA policies', details: error.message });
   }
 });
 
-// ---- PATCH /api/tickets/:ticketId/priority ----
-app.patch('/api/tickets/:ticketId/priority', async (req, res) => {
+// ---- POST /api/sla/policies ---- (admin)
+app.post('/api/sla/policies', requireRole('admin'), async (req, res) => {
   try {
-    const { priority } = req.body;
-    if (!['low', 'normal', 'high', 'urgent'].includes(priority)) return res.status(400).json({ error: 'Invalid priority' });
-    const { error } = await supabase.from('tickets').update({ priority, updated_at: new Date().toISOString() }).eq('ticket_id', req.params.ticketId);
+    const { name, priority = null, purpose = null, channel = null, first_response_minutes, resolution_minutes } = req.body;
+    if (!name || !first_response_minutes || !resolution_minutes) {
+      return res.status(400).json({ error: 'name, first_response_minutes, and resolution_minutes required' });
+    }
+    const { data, error } = await supabase.from('sla_policies').insert({
+      name, priority, purpose, channel, first_response_minutes, resolution_minutes, is_active: true,
+    }).select().single();
     if (error) throw error;
-    res.json({ success: true });
+    res.json({ success: true, policy: data });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to update priority', details: error.message });
+    res.status(500).json({ error: 'Failed to add SLA policy', details: error.message });
   }
 });
 
-
-// ---- POST /api/tickets/:ticketId/reply ----
-app.post('/api/tickets/:ticketId/reply', async (req, res) => {
+// ---- PUT /api/sla/policies/:id ---- (admin)
+app.put('/api/sla/policies/:id', requireRole('admin'), async (req, res) => {
   try {
-    const { content, sender_name = 'Lauren' } = req.body;
-    if (!content) return res.status(400).json({ error: 'Reply content is required' });
-    const { data: ticket } = await supabase.from('tickets')
-      .select('id, ticket_id, subject, customer:customers(email, name)')
-      .eq('ticket_id', req.params.ticketId).single();
-    if (!ticket) return res.status(404).json({ error: 'Ticket not found' });
-
-    // Save message to DB
-    const { error } = await supabase.from('messages').insert({
-      ticket_id: ticket.id, sender_type: 'agent', sender_name, content
-    });
-    if (error) throw error;
-    await supabase.from('tickets').update({ updated_at: new Date().toISOString() }).eq('id', ticket.id);
-
-    // Send email to customer
-    let emailSent = false;
-    if (ticket.customer?.email) {
-      try {
-        // Convert [text](url) markdown links to HTML
-        let bodyHTML = content
-          .replace(/\[([^\]]+)\]\((https?:\/\/[^\)]+)\)/g, '<a href="$2" style="color:#2C6ECB;text-decoration:underline;">$1</a>')
-          .replace(/\n/g, '<br>');
-        const htmlContent = emailTemplate(bodyHTML, ticket.ticket_id);
-
-        // Plain text version: convert [text](url) to "text: url"
-        const plainText = content
-          .replace(/\[([^\]]+)\]\((https?:\/\/[^\)]+)\)/g, '$1: $2')
-          + `\n\n---\nRef: ${ticket.ticket_id}`;
-
-        await sendEmail({
-          to: ticket.customer.email,
-          subject: `Re: ${ticket.subject} [${ticket.ticket_id}]`,
-          text: plainText,
-          html: htmlContent,
-          headers: {
-            'X-Ticket-ID': ticket.ticket_id,
-          },
-        });
-        emailSent = true;
-      } catch (emailErr) {
-        console.error('❌ Email send failed:', emailErr.message);
-        // Don't fail the whole request — message is saved, email just didn't send
-      }
+    const updates = { updated_at: new Date().toISOString() };
+    for (const key of ['name', 'priority', 'purpose', 'channel', 'first_response_minutes', 'resolution_minutes', 'is_active']) {
+      if (req.body[key] !== undefined) updates[key] = req.body[key];
     }
-
-    res.json({ success: true, emailSent });
+    const { data, error } = await supabase.from('sla_policies').update(updates).eq('id', req.params.id).select().single();
+    if (error) throw error;
+    res.json({ success: true, policy: data });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to send reply', details: error.message });
+    res.status(500).json({ error: 'Failed to update SLA policy', details: error.message });
   }
 });
 
-
-// ---- POST /api/tickets/:ticketId/notes ----
-app.post('/api/tickets/:ticketId/notes', async (req, res) => {
+// ---- DELETE /api/sla/policies/:id ---- (admin)
+app.delete('/api/sla/policies/:id', requireRole('admin'), async (req, res) => {
   try {
-    const { content, author = 'Josh' } = req.body;
-    const { data: ticket } = await supabase.from('tickets').select('id, customer_id').eq('ticket_id', req.params.ticketId).single();
-    if (!ticket) return res.status(404).json({ error: 'Ticket not found' });
-
-    const { data: note, error } = await supabase.from('notes').insert({ ticket_id: ticket.id, author, content }).select().single();
+    const { error } = await supabase.from('sla_policies').delete().eq('id', req.params.id);
     if (error) throw error;
-
-    const newTags = generateTagsFromNote(content);
-    if (newTags.length > 0 && ticket.customer_id) {
-      const { data: customer } = await supabase.from('customers').select('tags').eq('id', ticket.customer_id).single();
-      if (customer) {
-        const merged = [...new Set([...(customer.tags || []), ...newTags])];
-        await supabase.from('customers').update({ tags: merged, updated_at: new Date().toISOString() }).eq('id', ticket.customer_id);
-        console.log(`🏷 Smart tags: ${newTags.join(', ')}`);
-      }
-    }
-
-    res.json({ success: true, note, newCustomerTags: newTags });
+    res.json({ success: true });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to add note', details: error.message });
+    res.status(500).json({ error: 'Failed to delete SLA policy', details: error.message });
   }
 });
 
@@ -1000,7 +2985,7 @@ app.get('/api/customers/:customerId', async (req, res) => {
 
 // ---- POST /api/customers/merge ----
 // Merge two customer records: keep primary, move all tickets/data from secondary
-app.post('/api/customers/merge', async (req, res) => {
+app.post('/api/customers/merge', requireRole('admin'), async (req, res) => {
   try {
     const { primary_id, secondary_id } = req.body;
     if (!primary_id || !secondary_id) return res.status(400).json({ error: 'primary_id and secondary_id required' });
@@ -1055,7 +3040,7 @@ app.post('/api/customers/merge', async (req, res) => {
     // 6. Delete secondary customer
     await supabase.from('customers').delete().eq('id', secondary_id);
 
-    console.log(`🔀 Merged customer: "${secondary.name}" (${secondary.email}) → "${primary.name}" (${primary.email})`);
+    console.log(`🔀 Merged customer: "${secondary.name}" (${secondary.email}) → "${primary.name}" (${primary.email}) by ${req.agent.name}`);
 
     res.json({
       success: true,
@@ -1072,83 +3057,651 @@ app.post('/api/customers/merge', async (req, res) => {
 
 
 // ============================================================
-// AI DRAFT
+// AI TRIAGE
+// ============================================================
+// New conversations are classified by Claude into purpose, tags (from the
+// fixed taxonomy below), priority and language (sentiment is scored per
+// message, see SENTIMENT & ESCALATION). The reply must be
+// JSON; anything outside the allowed values is dropped, and if the call
+// fails, times out or comes back unusable we fall back to the keyword rules
+// (generateAutoTags / determinePriority). The result is stored on
+// tickets.ai_triage with source 'ai' or 'keywords'.
+
+const TRIAGE_PURPOSES = ['Billing', 'Tech Support', 'Product Questions', 'Shipping & Delivery', 'Returns & Refunds', 'Wholesale', 'Partnership', 'Press & Media', 'Other'];
+const TRIAGE_TAGS = [
+  'Billing inquiry', 'Technical issue', 'Product inquiry', 'Shipping issue', 'Refund request', 'Wholesale inquiry',
+  'Bulk order', 'Partnership inquiry', 'Press inquiry', 'General inquiry', 'Subscription issue', 'Tracking question',
+  'Flavor feedback', 'Bulk opportunity', 'Positive sentiment', 'At risk', 'Gift buyer', 'Dosage question', 'New flavor interest',
+];
+const TRIAGE_TIMEOUT_MS = parseInt(process.env.TRIAGE_TIMEOUT_MS || '8000', 10);
+const TRIAGE_MIN_CONFIDENCE = 0.5;
+
+const TRIAGE_PROMPT = `You triage inbound customer service messages for TIPSY AF, a zero-proof functional beverage brand.
+Reply with ONLY a JSON object, no prose and no code fences:
+{"purpose": string, "tags": string[], "priority": string, "language": string, "confidence": number}
+
+- purpose: exactly one of ${JSON.stringify(TRIAGE_PURPOSES)}. If the customer picked a purpose on the form, keep it unless the message is clearly about something else.
+- tags: zero or more of ${JSON.stringify(TRIAGE_TAGS)}. Only tag what the message is actually about; "please don't cancel my order" is not a cancellation.
+- priority: one of ${JSON.stringify(TICKET_PRIORITIES)}. urgent = safety/health issue, or money or an order at immediate risk. high = refunds, billing errors, lost or damaged orders, an angry customer. normal = most questions. low = feedback, press, partnership pitches.
+- language: ISO 639-1 code of the customer's message, e.g. "en", "es".
+- confidence: 0 to 1, how sure you are of purpose and priority together.`;
+
+function keywordTriage({ purpose, message }) {
+  return {
+    purpose,
+    tags: generateAutoTags(purpose, message),
+    priority: determinePriority(purpose, message),
+    language: null,
+    confidence: null,
+    source: 'keywords',
+  };
+}
+
+// Pulls the first {...} out of the reply and keeps only allowed values. Returns null if it's unusable.
+function parseTriageResponse(text) {
+  const match = String(text || '').match(/\{[\s\S]*\}/);
+  if (!match) return null;
+  let raw;
+  try { raw = JSON.parse(match[0]); } catch { return null; }
+  // Models reach for "medium" even when told the scale; it means normal
+  if (raw.priority === 'medium') raw.priority = 'normal';
+  if (!TRIAGE_PURPOSES.includes(raw.purpose) || !TICKET_PRIORITIES.includes(raw.priority)) return null;
+  const confidence = Number(raw.confidence);
+  return {
+    purpose: raw.purpose,
+    tags: [...new Set((Array.isArray(raw.tags) ? raw.tags : []).filter(t => TRIAGE_TAGS.includes(t)))],
+    priority: raw.priority,
+    language: typeof raw.language === 'string' && /^[a-z]{2}$/i.test(raw.language) ? raw.language.toLowerCase() : null,
+    confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0,
+  };
+}
+
+// ---- triageMessage({ purpose, subject, message, channel }) ----
+// purpose is what the customer picked on the form (null for email).
+// Never throws; returns { purpose, tags, priority, language, confidence, source, model?, at }.
+async function triageMessage({ purpose = null, subject = '', message, channel }) {
+  const fallback = () => ({ ...keywordTriage({ purpose: purpose || 'Other', message }), at: new Date().toISOString() });
+  if (!ANTHROPIC_API_KEY) return fallback();
+
+  const userMessage = [
+    `Channel: ${channel}`,
+    purpose ? `Purpose picked on the form: ${purpose}` : null,
+    subject ? `Subject: ${subject}` : null,
+    `Message:\n${message.slice(0, 4000)}`,
+  ].filter(Boolean).join('\n');
+
+  try {
+    // Aborting cancels the HTTP request too, so a slow call isn't left running (and billed)
+    const reply = await callClaude(TRIAGE_PROMPT, userMessage, 300, { signal: AbortSignal.timeout(TRIAGE_TIMEOUT_MS) });
+    const triage = parseTriageResponse(reply);
+    if (!triage) {
+      console.error('⚠️ AI triage returned unusable output, using keyword rules:', String(reply).slice(0, 200));
+      return fallback();
+    }
+    // A shaky guess at purpose shouldn't override what the customer told us
+    if (purpose && triage.confidence < TRIAGE_MIN_CONFIDENCE) triage.purpose = purpose;
+    return { ...triage, source: 'ai', model: CLAUDE_MODEL, at: new Date().toISOString() };
+  } catch (err) {
+    console.error('⚠️ AI triage failed, using keyword rules:', err.name === 'TimeoutError' ? `timed out after ${TRIAGE_TIMEOUT_MS}ms` : err.message);
+    return fallback();
+  }
+}
+
+function formatTriage(t) {
+  const a = t.ai_triage;
+  if (!a) return null;
+  return { source: a.source, confidence: a.confidence ?? null, language: a.language || null, at: a.at || null };
+}
+
+
 // ============================================================
+// AI SUMMARIES
+// ============================================================
+// tickets.ai_summary describes the whole conversation: the issue, what we've
+// done, what's still outstanding. Every new customer message or agent reply
+// sets summary_stale; the summaries job rewrites stale summaries once the
+// thread has been quiet for SUMMARY_QUIET_SECONDS, so a burst of messages
+// costs one call. POST /api/tickets/:ticketId/summary regenerates on demand.
+// A failed run backs off (summary_retry_at) and the job gives up on a ticket
+// after SUMMARY_MAX_FAILURES in a row; a successful run resets the count, and
+// so does a new message (STALE_SUMMARY), so a given-up ticket gets summarized again.
+
+const SUMMARY_INTERVAL_MINUTES = parseInt(process.env.SUMMARY_INTERVAL_MINUTES || '1', 10);
+const SUMMARY_QUIET_SECONDS = 30;
+const SUMMARY_BATCH_SIZE = 10;
+const SUMMARY_MAX_MESSAGES = 40;
+const SUMMARY_MAX_MESSAGE_CHARS = 1500;
+const SUMMARY_MAX_FAILURES = 5;
+
+// Spread into the ticket update whenever a new message lands
+const STALE_SUMMARY = { summary_stale: true, summary_failures: 0, summary_retry_at: null };
+
+const SUMMARY_PROMPT = `You summarize customer service tickets for TIPSY AF support agents, who read the summary to catch up on a ticket at a glance.
+Write at most 3 short sentences of plain text, no markdown, no greeting:
+1. The customer's issue or request (include order numbers, products and amounts if mentioned).
+2. What we've done so far (replies, refunds, reships), or "No reply yet." if nothing.
+3. What's outstanding and who it's waiting on.
+Internal notes are context for you; never quote them word for word.`;
+
+function summaryTranscript(ticket) {
+  const entries = [
+    ...(ticket.messages || []).filter(m => m.sender_type !== 'system').map(m => ({
+      at: m.created_at,
+      line: `${m.sender_type === 'customer' ? 'CUSTOMER' : 'AGENT'} (${m.sender_name}): ${(m.content || '').slice(0, SUMMARY_MAX_MESSAGE_CHARS)}`,
+    })),
+    ...(ticket.notes || []).map(n => ({ at: n.created_at, line: `INTERNAL NOTE (${n.author}): ${(n.content || '').slice(0, SUMMARY_MAX_MESSAGE_CHARS)}` })),
+  ].sort((a, b) => new Date(a.at) - new Date(b.at));
+  const recent = entries.slice(-SUMMARY_MAX_MESSAGES);
+  const skipped = entries.length - recent.length;
+  return [
+    `Ticket ${ticket.ticket_id} — subject: ${ticket.subject}, status: ${ticket.status}`,
+    skipped ? `(${skipped} earlier entries omitted; previous summary: ${ticket.ai_summary || 'none'})` : null,
+    ...recent.map(e => e.line),
+  ].filter(Boolean).join('\n\n');
+}
 
-app.post('/api/tickets/:ticketId/draft', async (req, res) => {
+// ---- summarizeTicket(id) ----
+// Writes and returns the new summary for the ticket with this db id.
+async function summarizeTicket(id) {
+  // Clear the flag first so a message landing mid-call marks it stale again
+  await supabase.from('tickets').update({ summary_stale: false }).eq('id', id);
   try {
-    const { context = '' } = req.body;
-    const { data: ticket, error: ticketErr } = await supabase
-      .from('tickets')
-      .select(`*, customer:customers(*), messages(*), notes(*)`)
-      .eq('ticket_id', req.params.ticketId)
-      .single();
-    if (ticketErr || !ticket) return res.status(404).json({ error: 'Ticket not found' });
+    const { data: ticket, error } = await supabase.from('tickets')
+      .select('id, ticket_id, subject, status, ai_summary, messages(sender_type, sender_name, content, created_at), notes(author, content, created_at)')
+      .eq('id', id).single();
+    if (error || !ticket) throw error || new Error('Ticket not found');
+
+    const summary = (await callClaude(SUMMARY_PROMPT, summaryTranscript(ticket), 300)).trim();
+    if (!summary) throw new Error('Empty summary');
+    const now = new Date().toISOString();
+    await supabase.from('tickets').update({ ai_summary: summary, ai_summary_at: now, summary_failures: 0, summary_retry_at: null }).eq('id', id);
+    publishEvent('ticket.updated', { ticketId: ticket.ticket_id, changes: { aiSummary: summary } });
+    return { summary, updatedAt: now };
+  } catch (err) {
+    await recordSummaryFailure(id);
+    throw err;
+  }
+}
 
-    // Also load customer's other tickets for context
-    const { data: otherTickets } = await supabase
-      .from('tickets')
-      .select('ticket_id, subject, status, ai_tags, ai_summary, created_at')
-      .eq('customer_id', ticket.customer_id)
-      .neq('ticket_id', req.params.ticketId)
+// Still stale, retried after 1, 2, 4, 8... minutes
+async function recordSummaryFailure(id) {
+  const { data: ticket } = await supabase.from('tickets').select('summary_failures').eq('id', id).single();
+  const failures = (ticket?.summary_failures || 0) + 1;
+  await supabase.from('tickets').update({
+    summary_stale: true,
+    summary_failures: failures,
+    summary_retry_at: new Date(Date.now() + 2 ** (failures - 1) * 60 * 1000).toISOString(),
+  }).eq('id', id);
+}
+
+async function refreshStaleSummaries() {
+  const quietSince = new Date(Date.now() - SUMMARY_QUIET_SECONDS * 1000).toISOString();
+  const { data: stale, error } = await supabase.from('tickets')
+    .select('id, ticket_id, summary_failures')
+    .eq('summary_stale', true)
+    .lte('updated_at', quietSince)
+    .lt('summary_failures', SUMMARY_MAX_FAILURES)
+    .or(`summary_retry_at.is.null,summary_retry_at.lte.${new Date().toISOString()}`)
+    .order('updated_at', { ascending: true })
+    .limit(SUMMARY_BATCH_SIZE);
+  if (error) throw error;
+
+  for (const t of stale || []) {
+    try {
+      await summarizeTicket(t.id);
+      console.log(`📝 Summary updated for ${t.ticket_id}`);
+    } catch (err) {
+      const givingUp = (t.summary_failures || 0) + 1 >= SUMMARY_MAX_FAILURES;
+      console.error(`❌ Summary failed for ${t.ticket_id}${givingUp ? ' (giving up until regenerated by hand)' : ''}:`, err.message);
+    }
+  }
+}
+
+// ---- POST /api/tickets/:ticketId/summary ----
+app.post('/api/tickets/:ticketId/summary', async (req, res) => {
+  try {
+    const { data: ticket } = await supabase.from('tickets').select('id').eq('ticket_id', req.params.ticketId).single();
+    if (!ticket) return res.status(404).json({ error: 'Ticket not found' });
+    const { summary, updatedAt } = await summarizeTicket(ticket.id);
+    res.json({ success: true, summary, updatedAt });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to generate summary', details: error.message });
+  }
+});
+
+
+// ============================================================
+// LANGUAGES & TRANSLATION
+// ============================================================
+// Inbound customer messages get a language (messages.language) from a
+// quick stop-word check; tickets.language follows the customer's latest
+// confidently detected language (AI triage fills it in on new tickets).
+// Drafts are written in that language, non-English customer messages get
+// an English translation for the agent (messages.translation), and the
+// auto-reply and refund confirmation emails use EMAIL_COPY when we have it.
+// detectLanguage() lives in languageDetection.js.
+
+function languageName(code) {
+  try { return new Intl.DisplayNames(['en'], { type: 'language' }).of(code); } catch { return code; }
+}
+
+// ---- noteCustomerLanguage(ticket, message) ----
+// After saving an inbound customer message (with its detected language):
+// keeps tickets.language current and translates non-English messages.
+async function noteCustomerLanguage(ticket, message) {
+  if (!message) return;
+  if (message.language && message.language !== ticket.language) {
+    await supabase.from('tickets').update({ language: message.language }).eq('id', ticket.id);
+    ticket.language = message.language;
+  }
+  const language = message.language || ticket.language;
+  if (language && language !== 'en' && ANTHROPIC_API_KEY) {
+    // Don't hold up the webhook; the dashboard refreshes when it lands
+    translateMessage(message.id).catch(err => console.error(`❌ Translation failed for message ${message.id}:`, err.message));
+  }
+}
+
+// ---- translateMessage(id) ----
+// English translation for the agent, cached on messages.translation.
+async function translateMessage(id, { force = false } = {}) {
+  const { data: message, error } = await supabase.from('messages')
+    .select('id, content, language, translation, ticket:tickets(ticket_id, language)')
+    .eq('id', id).single();
+  if (error || !message) throw error || new Error('Message not found');
+  if (message.translation && !force) return message.translation;
+
+  const from = message.language || message.ticket?.language || null;
+  const text = (await callClaude(
+    'You translate customer support messages into English for a support agent. Keep the meaning, tone, names, order numbers and formatting. Return ONLY the translation, nothing else.',
+    message.content,
+    1024
+  )).trim();
+  const translation = { language: 'en', from, text, at: new Date().toISOString() };
+  await supabase.from('messages').update({ translation }).eq('id', id);
+  if (message.ticket) publishEvent('ticket.updated', { ticketId: message.ticket.ticket_id, changes: { translation: { messageId: id } } });
+  return translation;
+}
+
+const DRAFT_TRANSLATION_WAIT_MS = 5000;
+
+// Fills in translations for the customer messages draftRetrievalQuery reads
+// (translation on arrival is fire-and-forget, so it may not have landed yet).
+// They run in parallel and the draft waits at most DRAFT_TRANSLATION_WAIT_MS;
+// anything slower is matched in the original language, and still gets saved
+// for the agent when it finishes. Never throws.
+async function translateRecentCustomerMessages(ticket, count = 3) {
+  if (!ANTHROPIC_API_KEY) return;
+  const recent = (ticket.messages || [])
+    .filter(m => m.sender_type === 'customer')
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .slice(-count)
+    .filter(m => !m.translation && (m.language || ticket.language) && (m.language || ticket.language) !== 'en');
+  if (!recent.length) return;
+  const translated = {};
+  const jobs = recent.map(m => translateMessage(m.id)
+    .then(translation => { translated[m.id] = translation; })
+    .catch(err => console.error(`❌ Translation failed for message ${m.id}:`, err.message)));
+  let timer;
+  const wait = new Promise(resolve => { timer = setTimeout(resolve, DRAFT_TRANSLATION_WAIT_MS); });
+  await Promise.race([Promise.all(jobs), wait]);
+  clearTimeout(timer);
+  for (const m of recent) if (translated[m.id]) m.translation = translated[m.id];
+}
+
+// ---- POST /api/messages/:id/translate ----
+app.post('/api/messages/:id/translate', async (req, res) => {
+  try {
+    const translation = await translateMessage(req.params.id, { force: !!req.body.force });
+    res.json({ success: true, translation });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to translate message', details: error.message });
+  }
+});
+
+// Customer-facing copy for the automatic emails. Missing languages use English.
+const EMAIL_COPY = {
+  en: {
+    greeting: name => `Hey ${name || 'there'}!`,
+    autoReply: ticketId => ({
+      content: `Thanks for reaching out! We've received your message and a team member will get back to you shortly. Your ticket number is ${ticketId}.`,
+      lines: ['Thanks for reaching out! We got your message and a team member will get back to you shortly.', `Your ticket number is ${ticketId}.`],
+      ticketLabel: 'Your ticket number is',
+      team: 'TIPSY AF Support',
+    }),
+    refund: ({ amount, orderName }) => ({
+      subject: `Refund Processed — Order ${orderName}`,
+      processed: `We've processed a refund of ${amount} for your order ${orderName}.`,
+      timing: 'The refund should appear on your original payment method within 5 to 10 business days, depending on your bank.',
+      questions: "If you have any questions, just reply to this email and we'll take care of it.",
+    }),
+    locale: 'en-US',
+  },
+  es: {
+    greeting: name => (name ? `¡Hola, ${name}!` : '¡Hola!'),
+    autoReply: ticketId => ({
+      content: `¡Gracias por escribirnos! Recibimos tu mensaje y alguien de nuestro equipo te responderá muy pronto. Tu número de ticket es ${ticketId}.`,
+      lines: ['¡Gracias por escribirnos! Recibimos tu mensaje y alguien de nuestro equipo te responderá muy pronto.', `Tu número de ticket es ${ticketId}.`],
+      ticketLabel: 'Tu número de ticket es',
+      team: 'Soporte de TIPSY AF',
+    }),
+    refund: ({ amount, orderName }) => ({
+      subject: `Reembolso procesado: pedido ${orderName}`,
+      processed: `Procesamos un reembolso de ${amount} para tu pedido ${orderName}.`,
+      timing: 'El reembolso debería aparecer en tu método de pago original en un plazo de 5 a 10 días hábiles, según tu banco.',
+      questions: 'Si tienes alguna pregunta, solo responde a este correo y nos encargamos.',
+    }),
+    locale: 'es-US',
+  },
+  fr: {
+    greeting: name => (name ? `Bonjour ${name} !` : 'Bonjour !'),
+    autoReply: ticketId => ({
+      content: `Merci de nous avoir écrit ! Nous avons bien reçu votre message et un membre de l'équipe vous répondra très vite. Votre numéro de ticket est ${ticketId}.`,
+      lines: ["Merci de nous avoir écrit ! Nous avons bien reçu votre message et un membre de l'équipe vous répondra très vite.", `Votre numéro de ticket est ${ticketId}.`],
+      ticketLabel: 'Votre numéro de ticket est',
+      team: 'Service client TIPSY AF',
+    }),
+    refund: ({ amount, orderName }) => ({
+      subject: `Remboursement effectué : commande ${orderName}`,
+      processed: `Nous avons effectué un remboursement de ${amount} pour votre commande ${orderName}.`,
+      timing: "Le remboursement devrait apparaître sur votre moyen de paiement d'origine sous 5 à 10 jours ouvrés, selon votre banque.",
+      questions: 'Pour toute question, répondez simplement à cet e-mail et nous nous en occupons.',
+    }),
+    locale: 'fr-CA',
+  },
+};
+
+function emailCopy(language) {
+  return EMAIL_COPY[language] || EMAIL_COPY.en;
+}
+
+// ---- autoReplyEmail({ firstName, ticketId, language }) ----
+// Returns { content, text, bodyHTML }: content is what goes on the thread.
+function autoReplyEmail({ firstName, ticketId, language }) {
+  const copy = emailCopy(language);
+  const a = copy.autoReply(ticketId);
+  return {
+    content: a.content,
+    text: `${copy.greeting(firstName)}\n\n${a.lines.join('\n\n')}\n\nLauren\n${a.team}`,
+    bodyHTML: `<p>${copy.greeting(firstName)}</p>
+        <p>${a.lines[0]}</p>
+        <p>${a.ticketLabel} <strong>${ticketId}</strong>.</p>
+        <p>Lauren<br><span style="color:#999;">${a.team}</span></p>`,
+  };
+}
+
+// ---- refundEmail({ firstName, amount, orderName, signature, language }) ----
+// Returns { subject, text, bodyHTML }
+function refundEmail({ firstName, amount, orderName, signature, language }) {
+  const copy = emailCopy(language);
+  const formatted = new Intl.NumberFormat(copy.locale, { style: 'currency', currency: 'USD' }).format(amount);
+  const r = copy.refund({ amount: formatted, orderName });
+  return {
+    subject: r.subject,
+    text: `${copy.greeting(firstName)}\n\n${r.processed}\n\n${r.timing}\n\n${r.questions}\n\n${signature}`,
+    bodyHTML: `<p>${copy.greeting(firstName)}</p>
+          <p>${r.processed.replace(formatted, () => `<strong>${formatted}</strong>`).replace(orderName, () => `<strong>${orderName}</strong>`)}</p>
+          <p>${r.timing}</p>
+          <p>${r.questions}</p>
+          <p>${signature.replace(/\n/g, '<br>')}</p>`,
+  };
+}
+
+
+// ============================================================
+// SENTIMENT & ESCALATION
+// ============================================================
+// Every inbound customer message is scored from -1 (furious) to 1 (delighted)
+// by Claude, or by a small word list when AI is unavailable, and stored on
+// messages.sentiment; triage leaves sentiment to this. The ticket keeps its latest score and a trend over its
+// recent messages; the customer keeps the same across all their tickets.
+// A sharp drop into negative territory, or a chargeback / public review /
+// legal threat, bumps the priority and posts a system message (at most once
+// per ESCALATION_COOLDOWN_HOURS unless a new kind of threat comes in).
+// Claude decides what counts as a threat; without it, the patterns in
+// sentimentRules.js only fire on first-person intent ("I'm going to file a
+// chargeback", "I've called my bank"), not on mentions ("I won't do a
+// chargeback", "5 star review").
+
+const SENTIMENT_SHARP_DROP = 0.5;
+const SENTIMENT_TREND_WINDOW = 5;
+const SENTIMENT_CUSTOMER_WINDOW = 10;
+const ESCALATION_COOLDOWN_HOURS = 24;
+
+const THREAT_REASONS = { chargeback: 'threatened a chargeback', public_review: 'threatened a public review', legal: 'mentioned legal action' };
+
+const SENTIMENT_PROMPT = `You score the sentiment of one customer service message to TIPSY AF, a beverage brand.
+Reply with ONLY a JSON object, no prose and no code fences:
+{"score": number, "label": string, "threats": string[]}
+- score: -1 (furious) to 1 (delighted); 0 is neutral or purely factual.
+- label: one of ${JSON.stringify(SENTIMENT_LABELS)}. "angry" is for hostile, all-caps, threatening or repeated complaints.
+- threats: any of ${JSON.stringify(THREAT_TYPES)} the customer says they WILL do or HAVE done against us: a card chargeback or bank dispute, a bad public review or complaint (BBB, social media), legal action. Empty otherwise. Promising a good review, mentioning they saw us online, or saying they won't do something is not a threat.
+Judge the customer's feelings, not the topic: a polite refund request is neutral.`;
+
+// Never throws; returns { score, label, source, threats }
+async function scoreSentiment(text) {
+  if (!ANTHROPIC_API_KEY) return { ...keywordSentiment(text), threats: detectThreats(text) };
+  try {
+    const reply = await callClaude(SENTIMENT_PROMPT, String(text).slice(0, 4000), 100);
+    const match = String(reply).match(/\{[\s\S]*\}/);
+    const raw = match ? JSON.parse(match[0]) : null;
+    const score = Number(raw?.score);
+    if (!Number.isFinite(score)) throw new Error(`unusable output: ${String(reply).slice(0, 100)}`);
+    const clamped = Math.round(Math.max(-1, Math.min(1, score)) * 100) / 100;
+    const threats = [...new Set((Array.isArray(raw.threats) ? raw.threats : []).filter(t => THREAT_TYPES.includes(t)))];
+    return { score: clamped, label: SENTIMENT_LABELS.includes(raw.label) ? raw.label : sentimentLabel(clamped), source: 'ai', threats };
+  } catch (err) {
+    console.error('⚠️ AI sentiment failed, using word list:', err.message);
+    return { ...keywordSentiment(text), threats: detectThreats(text) };
+  }
+}
+
+// 'improving' | 'steady' | 'worsening' from oldest -> newest scores; null with fewer than 2
+function sentimentTrend(scores) {
+  if (scores.length < 2) return null;
+  const recent = scores.slice(-2);
+  const earlier = scores.slice(0, -2).length ? scores.slice(0, -2) : scores.slice(0, 1);
+  const mean = list => list.reduce((n, s) => n + s, 0) / list.length;
+  const diff = mean(recent) - mean(earlier);
+  if (diff <= -0.3) return 'worsening';
+  if (diff >= 0.3) return 'improving';
+  return 'steady';
+}
+
+function priorityRank(priority) {
+  const i = TICKET_PRIORITIES.indexOf(priority);
+  return i === -1 ? TICKET_PRIORITIES.indexOf('normal') : i;
+}
+
+// ---- trackSentiment(ticket, message) ----
+// Scores the message, rolls it up to the ticket and customer, escalates if needed.
+async function trackSentiment(ticket, message) {
+  const sentiment = await scoreSentiment(message.content);
+  await supabase.from('messages').update({ sentiment }).eq('id', message.id);
+
+  const { data: t } = await supabase.from('tickets')
+    .select('id, ticket_id, priority, purpose, channel, created_at, customer_id, ai_tags, sentiment_score, escalated_at, escalation_reason, first_response_due_at, first_response_at, resolution_started_at, resolution_due_at, resolved_at, sla_at_risk_at, sla_breached_at, messages(sentiment, created_at)')
+    .eq('id', ticket.id)
+    .eq('messages.sender_type', 'customer')
+    .not('messages.sentiment', 'is', null)
+    .order('created_at', { referencedTable: 'messages', ascending: false })
+    .limit(SENTIMENT_TREND_WINDOW, { referencedTable: 'messages' })
+    .single();
+  if (!t) return sentiment;
+
+  const ticketScores = (t.messages || []).map(m => Number(m.sentiment.score)).reverse();
+  const previous = t.sentiment_score ?? 0;
+  await supabase.from('tickets').update({
+    sentiment_score: sentiment.score,
+    sentiment_label: sentiment.label,
+    sentiment_trend: sentimentTrend(ticketScores),
+  }).eq('id', t.id);
+
+  if (t.customer_id) {
+    const { data: history } = await supabase.from('messages')
+      .select('sentiment, created_at, tickets!inner(customer_id)')
+      .eq('tickets.customer_id', t.customer_id)
+      .eq('sender_type', 'customer')
+      .not('sentiment', 'is', null)
       .order('created_at', { ascending: false })
-      .limit(5);
+      .limit(SENTIMENT_CUSTOMER_WINDOW);
+    const customerScores = (history || []).map(m => Number(m.sentiment.score)).reverse();
+    if (customerScores.length) {
+      await supabase.from('customers').update({
+        sentiment_score: Math.round(customerScores.reduce((n, s) => n + s, 0) / customerScores.length * 100) / 100,
+        sentiment_trend: sentimentTrend(customerScores),
+      }).eq('id', t.customer_id);
+    }
+  }
 
-    // ---- Shopify lookup ----
-    let shopifyCtx = 'No Shopify data available.';
-    if (SHOPIFY_TOKEN && ticket.customer?.email) {
-      try {
-        const custData = await shopifyAPI('customers/search', { query: `email:${ticket.customer.email}`, fields: 'id,email,orders_count,total_spent,tags' });
-        const shopCust = (custData.customers || [])[0];
-        if (shopCust) {
-          const orderData = await shopifyAPI('orders', {
-            customer_id: shopCust.id, status: 'any', limit: 10,
-            fields: 'id,name,created_at,total_price,financial_status,fulfillment_status,fulfillments,line_items,tags,cancelled_at',
-            order: 'created_at desc',
-          });
-          const orders = orderData.orders || [];
-          const totalSpent = parseFloat(shopCust.total_spent || '0');
-          const totalOrders = shopCust.orders_count || orders.length;
-
-          // Subscription detection
-          const custTags = (shopCust.tags || '').toLowerCase();
-          let subStatus = 'none';
-          if (custTags.includes('active subscriber')) subStatus = 'active';
-          else if (custTags.includes('cancelled subscriber')) subStatus = 'cancelled';
-          else if (custTags.includes('paused subscriber')) subStatus = 'paused';
-
-          // Products purchased
-          const products = {};
-          orders.forEach(o => (o.line_items || []).forEach(li => {
-            const key = li.variant_title ? `${li.title} (${li.variant_title})` : li.title;
-            products[key] = (products[key] || 0) + li.quantity;
-          }));
-
-          // Build order details
-          const orderLines = orders.slice(0, 5).map(o => {
-            const items = (o.line_items || []).map(li => `${li.title} x${li.quantity}`).join(', ');
-            const fuls = (o.fulfillments || []);
-            let tracking = 'No tracking';
-            if (fuls.length) {
-              const f = fuls[0];
-              tracking = `${f.tracking_company || 'Carrier'}: ${f.tracking_number || 'N/A'} (${f.status})`;
-              if (f.tracking_url) tracking += ` URL: ${f.tracking_url}`;
-            }
-            const oTags = (o.tags || '').toLowerCase();
-            const isSub = oTags.includes('subscription');
-            const subInfo = isSub ? ' [SUBSCRIPTION ORDER]' : '';
-            // Extract billing cycle from tags
-            let cycleInfo = '';
-            const cycleMatch = (o.tags || '').match(/Billing cycle #(\d+)/i);
-            if (cycleMatch) cycleInfo = ` Billing cycle #${cycleMatch[1]}`;
-            const deliveryMatch = (o.tags || '').match(/Deliver every (\d+ \w+)/i);
-            const deliveryInfo = deliveryMatch ? ` (every ${deliveryMatch[1]})` : '';
-            return `  ${o.name} | ${new Date(o.created_at).toLocaleDateString()} | $${o.total_price} | ${o.financial_status} | ${o.fulfillment_status || 'unfulfilled'}${subInfo}${cycleInfo}${deliveryInfo}\n    Items: ${items}\n    Tracking: ${tracking}`;
-          }).join('\n');
-
-          const prodList = Object.entries(products).map(([k, v]) => `  ${k}: ${v} total`).join('\n');
-
-          shopifyCtx = `SHOPIFY DATA FOR THIS CUSTOMER:
+  const sharpDrop = sentiment.score <= SENTIMENT_SHARP_NEGATIVE && previous - sentiment.score >= SENTIMENT_SHARP_DROP;
+  if (sentiment.threats.length || sharpDrop) await escalateForSentiment(t, sentiment, sharpDrop);
+  else publishEvent('ticket.updated', { ticketId: t.ticket_id, changes: { sentiment: { score: sentiment.score, label: sentiment.label } } });
+  return sentiment;
+}
+
+async function escalateForSentiment(t, sentiment, sharpDrop) {
+  const target = sentiment.threats.length
+    ? 'urgent'
+    : TICKET_PRIORITIES[Math.max(priorityRank(t.priority) + 1, priorityRank('high'))] || 'urgent';
+  const reasons = [
+    ...sentiment.threats.map(type => THREAT_REASONS[type]),
+    ...(sharpDrop ? [`turned sharply negative (sentiment ${sentiment.score})`] : []),
+  ];
+  const reasonKey = [...sentiment.threats, sharpDrop ? 'sharp_drop' : null].filter(Boolean).join(',');
+
+  // Within the cooldown only a threat we haven't seen yet escalates again
+  const recent = t.escalated_at && Date.now() - new Date(t.escalated_at).getTime() < ESCALATION_COOLDOWN_HOURS * 60 * 60 * 1000;
+  const seen = (t.escalation_reason || '').split(',');
+  if (recent && !sentiment.threats.some(type => !seen.includes(type))) return;
+
+  const now = new Date().toISOString();
+  await supabase.from('tickets').update({
+    escalated_at: now,
+    escalation_reason: [...new Set([...(recent ? seen : []), ...reasonKey.split(',')])].join(','),
+    ai_tags: [...new Set([...(t.ai_tags || []), 'At risk'])],
+  }).eq('id', t.id);
+  const bumped = priorityRank(target) > priorityRank(t.priority);
+  if (bumped) await updateTicketPriority(t, target);
+  await supabase.from('messages').insert({
+    ticket_id: t.id,
+    sender_type: 'system',
+    sender_name: 'System',
+    content: `⚠️ Customer ${reasons.join(' and ')}.${bumped ? ` Priority raised to ${target}.` : ''}`,
+    metadata: { escalation: { reasons: reasonKey.split(','), score: sentiment.score, from_priority: t.priority, to_priority: bumped ? target : t.priority } },
+  });
+  console.log(`🚨 Escalated ${t.ticket_id}: ${reasons.join(', ')}${bumped ? ` (${t.priority} → ${target})` : ''}`);
+  publishEvent('ticket.updated', { ticketId: t.ticket_id, changes: { sentiment: { score: sentiment.score, label: sentiment.label }, escalated: true } });
+}
+
+// Call once the inbound handler has finished its own ticket updates (the
+// escalation rewrites ai_tags). Scoring may call Claude, so it isn't awaited.
+function trackSentimentLater(ticket, message) {
+  if (!ticket || !message) return;
+  trackSentiment(ticket, message).catch(err => console.error(`❌ Sentiment tracking failed for ${ticket.ticket_id}:`, err.message));
+}
+
+function formatSentiment(t) {
+  if (t.sentiment_score === null || t.sentiment_score === undefined) return null;
+  return {
+    score: Number(t.sentiment_score),
+    label: t.sentiment_label || sentimentLabel(Number(t.sentiment_score)),
+    trend: t.sentiment_trend || null,
+    escalatedAt: t.escalated_at || null,
+    customer: t.customer?.sentiment_score != null ? { score: Number(t.customer.sentiment_score), trend: t.customer.sentiment_trend || null } : null,
+  };
+}
+
+
+// ============================================================
+// AI DRAFT
+// ============================================================
+// validateDraft() (draftValidator.js) checks Claude's output against the
+// rules the prompt asks for. Dashes and a missing sign-off are fixed in
+// place; everything else is returned as a warning for the agent to look at
+// before sending:
+//   dashes, signature          (fixed)
+//   too_long                   over DRAFT_MAX_WORDS / DRAFT_MAX_PARAGRAPHS
+//   unknown_order              order number not in the Shopify data or thread
+//   unknown_tracking           tracking number not in the Shopify data or thread
+//   unbacked_refund / unbacked_discount
+//                              offers money back or a discount with no policy KB entry covering it
+
+// ---- prepareDraft(ticketId, agent, context) ----
+// Loads everything a draft needs and builds the prompts. Returns null if the ticket doesn't exist.
+async function prepareDraft(ticketId, agent, context = '') {
+  const { data: ticket, error: ticketErr } = await supabase
+    .from('tickets')
+    .select(`*, customer:customers(*), messages(*), notes(*)`)
+    .eq('ticket_id', ticketId)
+    .single();
+  if (ticketErr || !ticket) return null;
+  // Runs alongside the lookups below; only the KB query needs it
+  const translating = translateRecentCustomerMessages(ticket);
+
+  // Also load customer's other tickets for context
+  const { data: otherTickets } = await supabase
+    .from('tickets')
+    .select('ticket_id, subject, status, ai_tags, ai_summary, created_at')
+    .eq('customer_id', ticket.customer_id)
+    .neq('ticket_id', ticketId)
+    .order('created_at', { ascending: false })
+    .limit(5);
+
+  // ---- Shopify lookup ----
+  let shopifyCtx = 'No Shopify data available.';
+  if (SHOPIFY_TOKEN && ticket.customer?.email) {
+    try {
+      const custData = await shopifyAPI('customers/search', { query: `email:${ticket.customer.email}`, fields: 'id,email,orders_count,total_spent,tags' });
+      const shopCust = (custData.customers || [])[0];
+      if (shopCust) {
+        const orderData = await shopifyAPI('orders', {
+          customer_id: shopCust.id, status: 'any', limit: 10,
+          fields: 'id,name,created_at,total_price,financial_status,fulfillment_status,fulfillments,line_items,tags,cancelled_at',
+          order: 'created_at desc',
+        });
+        const orders = orderData.orders || [];
+        const totalSpent = parseFloat(shopCust.total_spent || '0');
+        const totalOrders = shopCust.orders_count || orders.length;
+
+        // Subscription detection
+        const custTags = (shopCust.tags || '').toLowerCase();
+        let subStatus = 'none';
+        if (custTags.includes('active subscriber')) subStatus = 'active';
+        else if (custTags.includes('cancelled subscriber')) subStatus = 'cancelled';
+        else if (custTags.includes('paused subscriber')) subStatus = 'paused';
+
+        // Products purchased
+        const products = {};
+        orders.forEach(o => (o.line_items || []).forEach(li => {
+          const key = li.variant_title ? `${li.title} (${li.variant_title})` : li.title;
+          products[key] = (products[key] || 0) + li.quantity;
+        }));
+
+        // Build order details
+        const orderLines = orders.slice(0, 5).map(o => {
+          const items = (o.line_items || []).map(li => `${li.title} x${li.quantity}`).join(', ');
+          const fuls = (o.fulfillments || []);
+          let tracking = 'No tracking';
+          if (fuls.length) {
+            const f = fuls[0];
+            tracking = `${f.tracking_company || 'Carrier'}: ${f.tracking_number || 'N/A'} (${f.status})`;
+            if (f.tracking_url) tracking += ` URL: ${f.tracking_url}`;
+          }
+          const oTags = (o.tags || '').toLowerCase();
+          const isSub = oTags.includes('subscription');
+          const subInfo = isSub ? ' [SUBSCRIPTION ORDER]' : '';
+          // Extract billing cycle from tags
+          let cycleInfo = '';
+          const cycleMatch = (o.tags || '').match(/Billing cycle #(\d+)/i);
+          if (cycleMatch) cycleInfo = ` Billing cycle #${cycleMatch[1]}`;
+          const deliveryMatch = (o.tags || '').match(/Deliver every (\d+ \w+)/i);
+          const deliveryInfo = deliveryMatch ? ` (every ${deliveryMatch[1]})` : '';
+          return `  ${o.name} | ${new Date(o.created_at).toLocaleDateString()} | $${o.total_price} | ${o.financial_status} | ${o.fulfillment_status || 'unfulfilled'}${subInfo}${cycleInfo}${deliveryInfo}\n    Items: ${items}\n    Tracking: ${tracking}`;
+        }).join('\n');
+
+        const prodList = Object.entries(products).map(([k, v]) => `  ${k}: ${v} total`).join('\n');
+
+        shopifyCtx = `SHOPIFY DATA FOR THIS CUSTOMER:
 Total Orders: ${totalOrders}
 Lifetime Value: $${totalSpent.toFixed(2)}
 Avg Order Value: $${totalOrders > 0 ? (totalSpent / totalOrders).toFixed(2) : '0.00'}
@@ -1160,30 +3713,37 @@ ${prodList || '  None'}
 
 Recent Orders (most recent first):
 ${orderLines || '  No orders found'}`;
-        }
-      } catch (shopErr) {
-        console.error('Shopify lookup for draft failed:', shopErr.message);
-        shopifyCtx = 'Shopify lookup failed. Do not reference order data.';
       }
+    } catch (shopErr) {
+      console.error('Shopify lookup for draft failed:', shopErr.message);
+      shopifyCtx = 'Shopify lookup failed. Do not reference order data.';
     }
+  }
 
-    const kb = await loadKnowledgeBase();
-    const msgs = (ticket.messages || [])
-      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
-      .map(m => `[${m.sender_type === 'customer' ? 'CUSTOMER' : m.sender_type === 'system' ? 'SYSTEM' : 'AGENT'} - ${m.sender_name}]: ${m.content}`)
-      .join('\n\n');
-
-    const noteCtx = (ticket.notes || [])
-      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
-      .map(n => `[NOTE by ${n.author}]: ${n.content}`)
-      .join('\n');
-
-    const customerTags = (ticket.customer?.tags || []).join(', ');
-    const historyCtx = otherTickets && otherTickets.length > 0
-      ? otherTickets.map(t => `- ${t.ticket_id}: ${t.subject} [${t.status}] Tags: ${(t.ai_tags||[]).join(', ')}`).join('\n')
-      : 'No previous tickets';
-
-    const systemPrompt = `You are a customer support agent for TIPSY AF, a zero-proof functional beverage company. You are drafting a reply to a customer support ticket.
+  await translating;
+  const kbEntries = await retrieveKnowledge(draftRetrievalQuery(ticket, context));
+  const kb = formatKnowledgeBase(kbEntries);
+  const msgs = (ticket.messages || [])
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .map(m => `[${m.sender_type === 'customer' ? 'CUSTOMER' : m.sender_type === 'system' ? 'SYSTEM' : 'AGENT'} - ${m.sender_name}]: ${m.content}`)
+    .join('\n\n');
+
+  const noteCtx = (ticket.notes || [])
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .map(n => `[NOTE by ${n.author}]: ${n.content}`)
+    .join('\n');
+
+  const customerTags = (ticket.customer?.tags || []).join(', ');
+  const historyCtx = otherTickets && otherTickets.length > 0
+    ? otherTickets.map(t => `- ${t.ticket_id}: ${t.subject} [${t.status}] Tags: ${(t.ai_tags||[]).join(', ')}`).join('\n')
+    : 'No previous tickets';
+
+  const signature = agentSignature(agent);
+  const replyLanguage = ticket.language && ticket.language !== 'en' ? languageName(ticket.language) : null;
+  const languageRule = replyLanguage
+    ? `\n- Write the reply in ${replyLanguage}, the language the customer writes in. The knowledge base is in English; translate anything you use from it faithfully. Keep the signature exactly as given.`
+    : '';
+  const systemPrompt = `You are ${agent.name}, a customer support agent for TIPSY AF, a zero-proof functional beverage company. You are drafting a reply to a customer support ticket.
 
 # YOUR KNOWLEDGE BASE
 ${kb}
@@ -1191,8 +3751,9 @@ ${kb}
 # RULES
 - Write ONLY the reply text. No subject line, no "Dear customer", no meta-commentary.
 - Follow the brand voice rules exactly.
-- Sign off with just "Lauren" on its own line.
-- Never use dashes or em-dashes. Use periods or commas instead.
+- Sign off with exactly this signature on its own lines:
+${signature}
+- Never use dashes or em-dashes. Use periods or commas instead.${languageRule}
 - If the customer has tags like "Previous refund" or "Effect skeptic", factor that into your response.
 - Be helpful, warm, and solution-oriented.
 - Keep it concise. 3-5 short paragraphs max.
@@ -1205,11 +3766,12 @@ ${kb}
   - If they're a high-LTV customer: treat them as a valued customer, be extra attentive.
   - Never say "let me look into this" when you already have the data. Just provide the answer.`;
 
-    let userPrompt = `# TICKET DETAILS
+  let userPrompt = `# TICKET DETAILS
 Ticket ID: ${ticket.ticket_id}
 Subject: ${ticket.subject}
 Purpose: ${ticket.purpose || 'General'}
 Priority: ${ticket.priority}
+Customer language: ${ticket.language ? languageName(ticket.language) : 'Unknown (assume English)'}
 
 # CUSTOMER INFO
 Name: ${ticket.customer?.name || 'Unknown'}
@@ -1225,185 +3787,297 @@ ${msgs}
 
 ${noteCtx ? `# INTERNAL NOTES\n${noteCtx}\n` : ''}`;
 
-    if (context.trim()) userPrompt += `\n# AGENT GUIDANCE\n${context}\n`;
-    userPrompt += `\nDraft a reply to the customer's most recent message.`;
+  if (context.trim()) userPrompt += `\n# AGENT GUIDANCE\n${context}\n`;
+  userPrompt += `\nDraft a reply to the customer's most recent message.`;
 
-    const draft = await callClaude(systemPrompt, userPrompt);
-    res.json({ success: true, draft });
+  return { ticket, systemPrompt, userPrompt, signature, kbEntries, knownText: `${shopifyCtx}\n${msgs}\n${noteCtx}` };
+}
+
+// Validates the raw text and records the draft (see DRAFT FEEDBACK); returns what the endpoints send back
+async function finishDraft(prepared, raw, agent, context) {
+  const { draft, warnings } = validateDraft(raw, { signature: prepared.signature, knownText: prepared.knownText, kbEntries: prepared.kbEntries });
+  if (warnings.length) console.log(`✦ Draft for ${prepared.ticket.ticket_id}: ${warnings.map(w => w.code).join(', ')}`);
+  const draftId = await saveDraft({ ticket: prepared.ticket, agent, context, draft, warnings, kbEntries: prepared.kbEntries });
+  return { draftId, draft, warnings, kbEntries: prepared.kbEntries.map(formatKbUsage) };
+}
+
+// ---- POST /api/tickets/:ticketId/draft ----
+app.post('/api/tickets/:ticketId/draft', async (req, res) => {
+  try {
+    const { context = '' } = req.body;
+    const prepared = await prepareDraft(req.params.ticketId, req.agent, context);
+    if (!prepared) return res.status(404).json({ error: 'Ticket not found' });
+    const raw = await callClaude(prepared.systemPrompt, prepared.userPrompt);
+    res.json({ success: true, ...(await finishDraft(prepared, raw, req.agent, context)) });
   } catch (error) {
     console.error('❌ Draft error:', error);
     res.status(500).json({ error: 'Failed to generate draft', details: error.message });
   }
 });
 
+// ---- POST /api/tickets/:ticketId/draft/stream ----
+// Same draft, relayed as Anthropic streams it. Server-sent events:
+//   delta { text }                          raw text as it arrives
+//   done  { draft, warnings, kbEntries }    final validated draft (may differ from the deltas)
+//   error { error }
+// Closing the connection cancels the upstream request.
+app.post('/api/tickets/:ticketId/draft/stream', async (req, res) => {
+  const upstream = new AbortController();
+  // req 'close' fires once the body is read; the response closing is what means the agent left
+  res.on('close', () => { if (!res.writableEnded) upstream.abort(); });
+  try {
+    const { context = '' } = req.body;
+    const prepared = await prepareDraft(req.params.ticketId, req.agent, context);
+    if (!prepared) return res.status(404).json({ error: 'Ticket not found' });
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    const raw = await streamClaude(prepared.systemPrompt, prepared.userPrompt, {
+      signal: upstream.signal,
+      onText: text => send('delta', { text }),
+    });
+    send('done', { success: true, ...(await finishDraft(prepared, raw, req.agent, context)) });
+    res.end();
+  } catch (error) {
+    if (upstream.signal.aborted) return console.log(`✦ Draft stream for ${req.params.ticketId} cancelled`);
+    console.error('❌ Draft stream error:', error);
+    if (!res.headersSent) return res.status(500).json({ error: 'Failed to generate draft', details: error.message });
+    res.write(`event: error\ndata: ${JSON.stringify({ error: 'Failed to generate draft', details: error.message })}\n\n`);
+    res.end();
+  }
+});
+
 
 // ============================================================
-// SHOPIFY INTEGRATION
+// DRAFT FEEDBACK
 // ============================================================
+// Every generated draft is stored in ai_drafts. When the agent sends a reply
+// that started from one, /reply links it (sent_message_id) and records how
+// much was changed: word-level edit distance, similarity (1 = sent as is)
+// and an outcome bucket. Sent replies on tickets that went well can then be
+// reviewed and promoted to example_response KB entries, so future drafts
+// learn from what agents actually send.
+
+const DRAFT_OUTCOMES = [
+  { min: 1, outcome: 'unchanged' },
+  { min: 0.85, outcome: 'light_edit' },
+  { min: 0.5, outcome: 'heavy_edit' },
+  { min: 0, outcome: 'rewritten' },
+];
+const DRAFT_EDIT_MAX_WORDS = 1500;
+const REVIEW_MIN_CSAT = 4;
+
+async function saveDraft({ ticket, agent, context, draft, warnings, kbEntries }) {
+  const { data, error } = await supabase.from('ai_drafts').insert({
+    ticket_id: ticket.id,
+    agent_id: agent.id,
+    context: context || null,
+    content: draft,
+    warnings,
+    kb_entry_ids: kbEntries.map(e => e.id),
+    model: CLAUDE_MODEL,
+  }).select('id').single();
+  if (error) {
+    // Losing the metric shouldn't cost the agent their draft
+    console.error('❌ Failed to save draft:', error.message);
+    return null;
+  }
+  return data.id;
+}
 
-// ---- GET /api/shopify/customer?email=xxx ----
-// Look up a Shopify customer by email, return profile + orders + subscription info
-app.get('/api/shopify/customer', async (req, res) => {
-  try {
-    const { email } = req.query;
-    if (!email) return res.status(400).json({ error: 'email query param required' });
-    if (!SHOPIFY_TOKEN) return res.json({ found: false, reason: 'Shopify not configured' });
-
-    // Search customer by email
-    const custData = await shopifyAPI('customers/search', { query: `email:${email}`, fields: 'id,email,first_name,last_name,phone,orders_count,total_spent,tags,note,created_at,metafields' });
-    const customers = custData.customers || [];
+function draftWords(text, signature) {
+  let t = String(text || '').trim();
+  if (signature && t.endsWith(signature)) t = t.slice(0, -signature.length);
+  return t.toLowerCase().split(/\s+/).filter(Boolean).slice(0, DRAFT_EDIT_MAX_WORDS);
+}
 
-    if (customers.length === 0) {
-      return res.json({ found: false });
+// Levenshtein over words (insert / delete / replace a word = 1)
+function wordEditDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
     }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function draftEditMetrics(draft, sent, signature) {
+  const a = draftWords(draft, signature);
+  const b = draftWords(sent, signature);
+  const distance = wordEditDistance(a, b);
+  const longest = Math.max(a.length, b.length);
+  const similarity = longest ? Math.round((1 - distance / longest) * 1000) / 1000 : 1;
+  return { distance, similarity, outcome: DRAFT_OUTCOMES.find(o => similarity >= o.min).outcome };
+}
 
-    const c = customers[0];
+// Called by /reply. Never throws; a bad draftId just isn't linked.
+async function linkDraftToReply(draftId, ticket, messageRowId, content, agent) {
+  try {
+    const { data: draft } = await supabase.from('ai_drafts').select('id, ticket_id, content, sent_message_id').eq('id', draftId).single();
+    if (!draft || draft.ticket_id !== ticket.id || draft.sent_message_id) return;
+    const { distance, similarity, outcome } = draftEditMetrics(draft.content, content, agentSignature(agent));
+    await supabase.from('ai_drafts').update({
+      sent_message_id: messageRowId,
+      sent_at: new Date().toISOString(),
+      edit_distance: distance,
+      similarity,
+      outcome,
+    }).eq('id', draft.id);
+    console.log(`✦ Draft ${draft.id} sent on ${ticket.ticket_id}: ${outcome} (similarity ${similarity})`);
+  } catch (err) {
+    console.error('❌ Failed to link draft to reply:', err.message);
+  }
+}
 
-    // Get orders for this customer
-    const orderData = await shopifyAPI('orders', {
-      customer_id: c.id,
-      status: 'any',
-      limit: 20,
-      fields: 'id,name,created_at,total_price,financial_status,fulfillment_status,fulfillments,line_items,tags,note,cancelled_at,refunds',
-      order: 'created_at desc',
-    });
-    const orders = (orderData.orders || []).map(o => {
-      // Extract fulfillment/tracking info
-      const fulfillments = (o.fulfillments || []).map(f => ({
-        status: f.status,
-        carrier: f.tracking_company || null,
-        trackingNumber: f.tracking_number || null,
-        trackingUrl: f.tracking_url || null,
-        updatedAt: f.updated_at,
-      }));
-
-      // Extract product/flavor info from line items
-      const items = (o.line_items || []).map(li => ({
-        title: li.title,
-        variant: li.variant_title || null,
-        quantity: li.quantity,
-        price: li.price,
-        sku: li.sku || null,
-      }));
-
-      // Detect subscription orders from tags
-      const tags = (o.tags || '').toLowerCase();
-      const isSubscription = tags.includes('subscription') || tags.includes('loop') || tags.includes('recurring');
-
-      // Calculate total already refunded
-      let totalRefunded = 0;
-      if (o.refunds && o.refunds.length > 0) {
-        for (const refund of o.refunds) {
-          for (const tx of (refund.transactions || [])) {
-            if (tx.kind === 'refund' && tx.status === 'success') {
-              totalRefunded += parseFloat(tx.amount || '0');
-            }
-          }
-        }
-      }
-      const refundableAmount = Math.max(0, parseFloat(o.total_price) - totalRefunded);
+// ---- GET /api/drafts/stats?from=&to=&agentId= ----
+app.get('/api/drafts/stats', async (req, res) => {
+  try {
+    const { from, to, agentId } = req.query;
+    let query = supabase.from('ai_drafts').select('agent_id, sent_at, similarity, edit_distance, outcome, agent:agents!agent_id(name)');
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lte('created_at', to);
+    if (agentId) query = query.eq('agent_id', agentId);
+    const { data, error } = await query;
+    if (error) throw error;
 
+    const summarize = rows => {
+      const sent = rows.filter(r => r.sent_at);
+      const outcomes = Object.fromEntries(DRAFT_OUTCOMES.map(o => [o.outcome, 0]));
+      for (const r of sent) if (r.outcome) outcomes[r.outcome]++;
+      const avg = key => sent.length ? Math.round(sent.reduce((n, r) => n + Number(r[key] || 0), 0) / sent.length * 1000) / 1000 : null;
       return {
-        id: o.id,
-        name: o.name,
-        createdAt: o.created_at,
-        total: o.total_price,
-        financialStatus: o.financial_status,
-        fulfillmentStatus: o.fulfillment_status || 'unfulfilled',
-        cancelled: !!o.cancelled_at,
-        fulfillments,
-        items,
-        isSubscription,
-        tags: o.tags || '',
-        totalRefunded: totalRefunded.toFixed(2),
-        refundableAmount: refundableAmount.toFixed(2),
+        generated: rows.length,
+        sent: sent.length,
+        acceptanceRate: rows.length ? Math.round(sent.length / rows.length * 1000) / 1000 : null,
+        avgSimilarity: avg('similarity'),
+        avgEditDistance: avg('edit_distance'),
+        outcomes,
       };
+    };
+
+    const byAgent = {};
+    for (const r of data) (byAgent[r.agent_id] = byAgent[r.agent_id] || []).push(r);
+    res.json({
+      ...summarize(data),
+      agents: Object.entries(byAgent).map(([id, rows]) => ({ agentId: id, name: rows[0].agent?.name || 'Unknown', ...summarize(rows) })),
     });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch draft stats', details: error.message });
+  }
+});
 
-    // Calculate stats
-    const totalOrders = c.orders_count || orders.length;
-    const totalSpent = parseFloat(c.total_spent || '0');
-    const avgOrderValue = totalOrders > 0 ? (totalSpent / totalOrders).toFixed(2) : '0.00';
-
-    // Detect subscription status from orders and tags
-    const customerTags = (c.tags || '').toLowerCase();
-    const subOrders = orders.filter(o => o.isSubscription);
-    let subscriptionStatus = 'none';
-    if (customerTags.includes('active subscriber') || customerTags.includes('active_subscriber')) {
-      subscriptionStatus = 'active';
-    } else if (customerTags.includes('cancelled subscriber') || customerTags.includes('cancelled_subscriber')) {
-      subscriptionStatus = 'cancelled';
-    } else if (customerTags.includes('paused subscriber') || customerTags.includes('paused_subscriber')) {
-      subscriptionStatus = 'paused';
-    } else if (subOrders.length > 0) {
-      // Has subscription orders but no tag — check recency
-      const lastSub = subOrders[0];
-      const daysSinceLast = (Date.now() - new Date(lastSub.createdAt).getTime()) / (1000 * 60 * 60 * 24);
-      subscriptionStatus = daysSinceLast < 45 ? 'active' : 'lapsed';
-    }
-
-    // Extract all flavors/products purchased
-    const productsPurchased = {};
-    for (const o of orders) {
-      for (const item of o.items) {
-        const key = item.variant ? `${item.title} - ${item.variant}` : item.title;
-        productsPurchased[key] = (productsPurchased[key] || 0) + item.quantity;
-      }
-    }
+// Turns a sent reply into a reusable example: no signature, no customer name
+function exampleFromReply(content, customerName, signature) {
+  let text = String(content || '').trim();
+  if (signature && text.endsWith(signature)) text = text.slice(0, -signature.length).trim();
+  const first = (customerName || '').split(' ')[0];
+  if (first && first.length > 1) text = text.replace(new RegExp(`\\b${first.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'g'), '{{customer.first_name}}');
+  return text;
+}
 
-    // Try to get Loop metafields from customer
-    let loopData = null;
-    try {
-      const metaRes = await shopifyAPI(`customers/${c.id}/metafields`);
-      const metafields = metaRes.metafields || [];
-      const loopFields = metafields.filter(m => m.namespace === 'loop' || m.namespace === 'loop_subscriptions');
-      if (loopFields.length > 0) {
-        loopData = {};
-        for (const f of loopFields) {
-          loopData[f.key] = f.value;
-        }
-      }
-    } catch (e) {
-      // Metafields may not be available, that's ok
-    }
+// ---- GET /api/drafts/review ----
+// Proposes sent replies worth keeping as example_response KB entries: the
+// ticket is resolved, the customer rated it REVIEW_MIN_CSAT+ (or didn't rate
+// it), and the agent edited the draft before sending (outcome isn't
+// 'unchanged'), so the example carries something a person added.
+app.get('/api/drafts/review', async (req, res) => {
+  try {
+    const { limit = 20 } = req.query;
+    const { data, error } = await supabase.from('ai_drafts')
+      .select('id, content, similarity, outcome, sent_at, agent:agents!agent_id(name, signature), message:messages!sent_message_id(content), tickets!inner(ticket_id, subject, purpose, status, csat_score, customer:customers(name))')
+      .not('sent_message_id', 'is', null)
+      .is('review_status', null)
+      .neq('outcome', 'unchanged')
+      .in('tickets.status', ['resolved', 'closed'])
+      .or(`csat_score.is.null,csat_score.gte.${REVIEW_MIN_CSAT}`, { referencedTable: 'tickets' })
+      .order('sent_at', { ascending: false })
+      .limit(200);
+    if (error) throw error;
 
-    // Update our Supabase customer record with Shopify data
-    const { data: ourCustomer } = await supabase
-      .from('customers')
-      .select('id')
-      .eq('email', email.toLowerCase())
-      .single();
+    const candidates = data
+      .map(({ tickets: ticket, ...d }) => ({ ...d, ticket }))
+      .map(d => {
+        // Rated tickets first, then replies sent close to the draft (the draft was already good)
+        const score = (d.ticket.csat_score || 3) + Number(d.similarity || 0);
+        const signature = agentSignature(d.agent);
+        return {
+          draftId: d.id,
+          score: Math.round(score * 100) / 100,
+          ticketId: d.ticket.ticket_id,
+          csat: d.ticket.csat_score || null,
+          outcome: d.outcome,
+          similarity: d.similarity,
+          agent: d.agent?.name || null,
+          proposed: {
+            category: 'example_response',
+            title: `${d.ticket.purpose || 'General'}: ${d.ticket.subject}`.slice(0, 120),
+            content: exampleFromReply(d.message?.content, d.ticket.customer?.name, signature),
+          },
+        };
+      })
+      .filter(c => c.proposed.content)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, parseInt(limit, 10) || 20);
 
-    if (ourCustomer) {
-      await supabase.from('customers').update({
-        shopify_customer_id: c.id.toString(),
-        shopify_order_count: totalOrders,
-        shopify_ltv: totalSpent,
-        updated_at: new Date().toISOString(),
-      }).eq('id', ourCustomer.id);
+    res.json({ candidates });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch review candidates', details: error.message });
+  }
+});
+
+// ---- POST /api/drafts/:id/review ----
+// { action: 'approve' | 'reject', title?, content? } — approving adds the KB entry.
+app.post('/api/drafts/:id/review', async (req, res) => {
+  try {
+    const { action, title, content, priority = 5 } = req.body;
+    if (!['approve', 'reject'].includes(action)) return res.status(400).json({ error: "action must be 'approve' or 'reject'" });
+    const { data: draft } = await supabase.from('ai_drafts').select('id, review_status').eq('id', req.params.id).single();
+    if (!draft) return res.status(404).json({ error: 'Draft not found' });
+    if (draft.review_status) return res.status(409).json({ error: `Draft was already ${draft.review_status}` });
+
+    let item = null;
+    if (action === 'approve') {
+      if (!title || !content) return res.status(400).json({ error: 'title and content required to approve' });
+      const { data, error } = await supabase.from('knowledge_base').insert({ category: 'example_response', title, content, priority }).select().single();
+      if (error) throw error;
+      item = data;
+      invalidateKbIndex();
     }
+    await supabase.from('ai_drafts').update({
+      review_status: action === 'approve' ? 'approved' : 'rejected',
+      reviewed_by: req.agent.id,
+      reviewed_at: new Date().toISOString(),
+      kb_entry_id: item?.id || null,
+    }).eq('id', draft.id);
+    res.json({ success: true, item });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to review draft', details: error.message });
+  }
+});
 
-    res.json({
-      found: true,
-      customer: {
-        shopifyId: c.id,
-        name: `${c.first_name || ''} ${c.last_name || ''}`.trim(),
-        email: c.email,
-        phone: c.phone,
-        tags: c.tags,
-        note: c.note,
-        createdAt: c.created_at,
-        totalOrders,
-        totalSpent: totalSpent.toFixed(2),
-        avgOrderValue,
-        subscriptionStatus,
-        loopData,
-        productsPurchased,
-      },
-      orders,
-      recentOrder: orders.length > 0 ? orders[0] : null,
-    });
 
+// ============================================================
+// SHOPIFY INTEGRATION
+// ============================================================
+
+// ---- GET /api/shopify/customer?email=xxx ----
+// Look up a Shopify customer by email, return profile + orders + subscription info
+app.get('/api/shopify/customer', async (req, res) => {
+  try {
+    const { email } = req.query;
+    if (!email) return res.status(400).json({ error: 'email query param required' });
+    if (!SHOPIFY_TOKEN) return res.json({ found: false, reason: 'Shopify not configured' });
+    res.json(await lookupShopifyCustomer(email));
   } catch (error) {
     console.error('❌ Shopify lookup error:', error);
     res.status(500).json({ error: 'Shopify lookup failed', details: error.message });
@@ -1425,7 +4099,7 @@ app.get('/api/shopify/order/:orderId', async (req, res) => {
 
 // ---- POST /api/shopify/refund ----
 // Process a refund for a Shopify order
-app.post('/api/shopify/refund', async (req, res) => {
+app.post('/api/shopify/refund', requireRole('admin'), async (req, res) => {
   try {
     if (!SHOPIFY_TOKEN) return res.status(400).json({ error: 'Shopify not configured' });
     const { orderId, amount, reason, note, ticketId, customerEmail } = req.body;
@@ -1434,7 +4108,7 @@ app.post('/api/shopify/refund', async (req, res) => {
       return res.status(400).json({ error: 'orderId, amount, and reason are required' });
     }
 
-    console.log(`💰 Processing refund: Order ${orderId}, $${amount}, reason: ${reason}`);
+    console.log(`💰 Processing refund: Order ${orderId}, $${amount}, reason: ${reason} (by ${req.agent.name})`);
 
     // First, get the order to find the transaction ID for refund
     const orderData = await shopifyAPI(`orders/${orderId}`);
@@ -1490,38 +4164,42 @@ app.post('/api/shopify/refund', async (req, res) => {
 
     console.log(`✅ Refund processed: $${amount} for order ${order.name}`);
 
+    let ticket = null;
+    if (ticketId) {
+      const { data } = await supabase.from('tickets').select('id, ticket_id, language').eq('ticket_id', ticketId).single();
+      ticket = data;
+    }
+
     // Send refund confirmation email to customer
     if (customerEmail) {
       try {
-        const refundBody = `<p>Hey ${order.customer?.first_name || 'there'}!</p>
-          <p>We've processed a refund of <strong>$${parseFloat(amount).toFixed(2)}</strong> for your order <strong>${order.name}</strong>.</p>
-          <p>The refund should appear on your original payment method within 5 to 10 business days, depending on your bank.</p>
-          <p>If you have any questions, just reply to this email and we'll take care of it.</p>
-          <p>Lauren<br><span style="color:#999;">TIPSY AF Support</span></p>`;
-        await sendEmail({
-          to: customerEmail,
-          subject: `Refund Processed — Order ${order.name}${ticketId ? ' [' + ticketId + ']' : ''}`,
-          text: `Hey ${order.customer?.first_name || 'there'}!\n\nWe've processed a refund of $${parseFloat(amount).toFixed(2)} for your order ${order.name}.\n\nThe refund should appear on your original payment method within 5-10 business days.\n\nLauren\nTIPSY AF Support`,
-          html: emailTemplate(refundBody, ticketId),
+        const refund = refundEmail({
+          firstName: order.customer?.first_name,
+          amount: parseFloat(amount),
+          orderName: order.name,
+          signature: agentSignature(req.agent),
+          language: ticket?.language,
         });
-        console.log(`📧 Refund confirmation email sent to ${customerEmail}`);
+        await queueEmail({
+          to: customerEmail,
+          subject: `${refund.subject}${ticketId ? ' [' + ticketId + ']' : ''}`,
+          text: refund.text,
+          html: emailTemplate(refund.bodyHTML, ticketId),
+        }, { kind: 'refund', ticket });
+        console.log(`📧 Refund confirmation email queued for ${customerEmail}`);
       } catch (emailErr) {
         console.error('❌ Refund email failed:', emailErr.message);
       }
     }
 
     // Log as note on ticket if provided
-    if (ticketId) {
+    if (ticket) {
       try {
-        const { data: ticket } = await supabase.from('tickets')
-          .select('id').eq('ticket_id', ticketId).single();
-        if (ticket) {
-          await supabase.from('notes').insert({
-            ticket_id: ticket.id,
-            author: 'System',
-            content: `💰 Refund processed: $${parseFloat(amount).toFixed(2)} for order ${order.name}. Reason: ${reason}${note ? '. Note: ' + note : ''}`,
-          });
-        }
+        await supabase.from('notes').insert({
+          ticket_id: ticket.id,
+          author: req.agent.name,
+          content: `💰 Refund processed: $${parseFloat(amount).toFixed(2)} for order ${order.name}. Reason: ${reason}${note ? '. Note: ' + note : ''}`,
+        });
       } catch (noteErr) {
         console.error('Note insert failed:', noteErr.message);
       }
@@ -1652,7 +4330,7 @@ app.post('/api/loop/subscription/:id/resume', async (req, res) => {
 });
 
 // ---- POST /api/loop/subscription/:id/cancel ----
-app.post('/api/loop/subscription/:id/cancel', async (req, res) => {
+app.post('/api/loop/subscription/:id/cancel', requireRole('admin'), async (req, res) => {
   try {
     if (!LOOP_API_TOKEN) return res.status(400).json({ error: 'Loop not configured' });
     const data = await loopAPI(`/subscription/${req.params.id}/cancel`, 'POST', req.body || {});
@@ -1677,6 +4355,73 @@ app.post('/api/loop/subscription/:id/skipOrder', async (req, res) => {
 // ============================================================
 // KNOWLEDGE BASE
 // ============================================================
+// Drafts don't get the whole KB: retrieveKnowledge() ranks active entries
+// against the conversation with BM25 (kbRetrieval.js) and returns brand
+// voice plus the top KB_TOP_N matches, within KB_MAX_CHARS. The index is
+// rebuilt after any KB write, or every KB_INDEX_TTL_MINUTES; if a rebuild
+// fails, drafts keep using the last index that loaded.
+
+const KB_TOP_N = parseInt(process.env.KB_TOP_N || '6', 10);
+const KB_MAX_CHARS = parseInt(process.env.KB_MAX_CHARS || '12000', 10);
+const KB_INDEX_TTL_MINUTES = 10;
+
+let kbIndex = null; // { builtAt, brandVoice: [], index }
+
+function invalidateKbIndex() {
+  if (kbIndex) kbIndex.builtAt = 0; // kept as the fallback until the rebuild succeeds
+}
+
+async function loadKbIndex() {
+  if (kbIndex && Date.now() - kbIndex.builtAt < KB_INDEX_TTL_MINUTES * 60 * 1000) return kbIndex;
+  const { data, error } = await supabase.from('knowledge_base')
+    .select('id, category, title, content, priority')
+    .eq('is_active', true)
+    .order('priority', { ascending: false });
+  if (error) {
+    if (!kbIndex) throw error;
+    console.error('⚠️ Failed to reload KB, using the previous index:', error.message);
+    return kbIndex;
+  }
+  kbIndex = {
+    builtAt: Date.now(),
+    brandVoice: data.filter(e => e.category === 'brand_voice'),
+    index: kbRetrieval.buildIndex(data.filter(e => e.category !== 'brand_voice')),
+  };
+  return kbIndex;
+}
+
+// What the draft is about: subject, purpose, tags, the customer's latest
+// messages and any agent guidance.
+function draftRetrievalQuery(ticket, context = '') {
+  const fromCustomer = (ticket.messages || [])
+    .filter(m => m.sender_type === 'customer')
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .slice(-3)
+    // The KB is English and so is its index; use the translation when there is one
+    .map(m => m.translation?.text || m.content || '');
+  return [ticket.subject, ticket.purpose, ...(ticket.ai_tags || []), ...fromCustomer, context]
+    .filter(Boolean).join('\n');
+}
+
+// ---- retrieveKnowledge(query) ----
+// Returns KB rows with a score (null for brand voice, which is always included).
+// Throws if the KB has never loaded: a draft without it would invent policy.
+async function retrieveKnowledge(query) {
+  const loaded = await loadKbIndex();
+  const picked = loaded.brandVoice.map(e => ({ ...e, score: null }));
+  let budget = KB_MAX_CHARS - picked.reduce((n, e) => n + e.title.length + e.content.length, 0);
+  for (const { entry, score } of kbRetrieval.search(loaded.index, query, KB_TOP_N)) {
+    const size = entry.title.length + entry.content.length;
+    if (size > budget) continue;
+    picked.push({ ...entry, score });
+    budget -= size;
+  }
+  return picked;
+}
+
+function formatKbUsage(e) {
+  return { id: e.id, title: e.title, category: e.category, score: e.score === null ? null : Math.round(e.score * 100) / 100 };
+}
 
 app.get('/api/kb', async (req, res) => {
   try {
@@ -1697,6 +4442,7 @@ app.post('/api/kb', async (req, res) => {
     if (!category || !title || !content) return res.status(400).json({ error: 'category, title, and content required' });
     const { data, error } = await supabase.from('knowledge_base').insert({ category, title, content, priority }).select().single();
     if (error) throw error;
+    invalidateKbIndex();
     res.json({ success: true, item: data });
   } catch (error) {
     res.status(500).json({ error: 'Failed to add KB item', details: error.message });
@@ -1714,16 +4460,18 @@ app.put('/api/kb/:id', async (req, res) => {
     if (is_active !== undefined) updates.is_active = is_active;
     const { data, error } = await supabase.from('knowledge_base').update(updates).eq('id', req.params.id).select().single();
     if (error) throw error;
+    invalidateKbIndex();
     res.json({ success: true, item: data });
   } catch (error) {
     res.status(500).json({ error: 'Failed to update KB item', details: error.message });
   }
 });
 
-app.delete('/api/kb/:id', async (req, res) => {
+app.delete('/api/kb/:id', requireRole('admin'), async (req, res) => {
   try {
     const { error } = await supabase.from('knowledge_base').delete().eq('id', req.params.id);
     if (error) throw error;
+    invalidateKbIndex();
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: 'Failed to delete KB item', details: error.message });
@@ -1731,6 +4479,814 @@ app.delete('/api/kb/:id', async (req, res) => {
 });
 
 
+// ============================================================
+// MACROS (canned responses)
+// ============================================================
+// Content supports {{placeholders}} with an optional fallback:
+//   {{customer.first_name | there}}, {{ticket.id}}, {{order.latest.tracking_url}}
+// Actions run when a macro is applied: { status, priority, add_tags: [] }
+
+const MACRO_PLACEHOLDER = /\{\{\s*([\w.]+)\s*(?:\|\s*([^}]*?)\s*)?\}\}/g;
+
+// Build the variable map a macro can see. Shopify is only hit if the template needs it.
+async function buildMacroContext(ticket, agent, needsShopify) {
+  const customer = ticket.customer || {};
+  const [firstName, ...rest] = (customer.name || '').trim().split(/\s+/);
+  const ctx = {
+    'customer.name': customer.name,
+    'customer.first_name': firstName,
+    'customer.last_name': rest.join(' '),
+    'customer.email': customer.email,
+    'customer.phone': customer.phone,
+    'ticket.id': ticket.ticket_id,
+    'ticket.subject': ticket.subject,
+    'ticket.status': ticket.status,
+    'ticket.priority': ticket.priority,
+    'ticket.purpose': ticket.purpose,
+    'agent.name': agent.name,
+    'agent.first_name': (agent.name || '').split(' ')[0],
+    'agent.signature': agentSignature(agent),
+  };
+
+  if (needsShopify && SHOPIFY_TOKEN && customer.email) {
+    try {
+      const shop = await lookupShopifyCustomer(customer.email);
+      if (shop.found) {
+        ctx['customer.order_count'] = shop.customer.totalOrders;
+        ctx['customer.total_spent'] = shop.customer.totalSpent;
+        ctx['customer.subscription_status'] = shop.customer.subscriptionStatus;
+        const o = shop.recentOrder;
+        if (o) {
+          const f = o.fulfillments[0] || {};
+          ctx['order.latest.name'] = o.name;
+          ctx['order.latest.date'] = new Date(o.createdAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+          ctx['order.latest.total'] = o.total;
+          ctx['order.latest.status'] = o.fulfillmentStatus;
+          ctx['order.latest.items'] = o.items.map(i => `${i.title} x${i.quantity}`).join(', ');
+          ctx['order.latest.carrier'] = f.carrier;
+          ctx['order.latest.tracking_number'] = f.trackingNumber;
+          ctx['order.latest.tracking_url'] = f.trackingUrl;
+        }
+      }
+    } catch (err) {
+      console.error('Shopify lookup for macro failed:', err.message);
+    }
+  }
+  return ctx;
+}
+
+function interpolateMacro(content, ctx) {
+  const unresolved = [];
+  const text = content.replace(MACRO_PLACEHOLDER, (match, key, fallback) => {
+    const value = ctx[key];
+    if (value !== undefined && value !== null && value !== '') return String(value);
+    if (fallback !== undefined) return fallback;
+    unresolved.push(key);
+    return match;
+  });
+  return { text, unresolved: [...new Set(unresolved)] };
+}
+
+function validateMacroActions(actions) {
+  if (!actions) return null;
+  if (actions.status && !TICKET_STATUSES.includes(actions.status)) return 'Invalid status in actions';
+  if (actions.priority && !TICKET_PRIORITIES.includes(actions.priority)) return 'Invalid priority in actions';
+  if (actions.add_tags && !Array.isArray(actions.add_tags)) return 'add_tags must be an array';
+  return null;
+}
+
+app.get('/api/macros', async (req, res) => {
+  try {
+    const { data, error } = await supabase.from('macros').select('*').eq('is_active', true).order('name', { ascending: true });
+    if (error) throw error;
+    res.json({ macros: data });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch macros', details: error.message });
+  }
+});
+
+app.post('/api/macros', async (req, res) => {
+  try {
+    const { name, content, actions = {} } = req.body;
+    if (!name || !content) return res.status(400).json({ error: 'name and content required' });
+    const invalid = validateMacroActions(actions);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const { data, error } = await supabase.from('macros').insert({ name, content, actions, created_by: req.agent.id, is_active: true }).select().single();
+    if (error) throw error;
+    res.json({ success: true, macro: data });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to add macro', details: error.message });
+  }
+});
+
+app.put('/api/macros/:id', async (req, res) => {
+  try {
+    const { name, content, actions, is_active } = req.body;
+    const invalid = validateMacroActions(actions);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const updates = { updated_at: new Date().toISOString() };
+    if (name !== undefined) updates.name = name;
+    if (content !== undefined) updates.content = content;
+    if (actions !== undefined) updates.actions = actions;
+    if (is_active !== undefined) updates.is_active = is_active;
+    const { data, error } = await supabase.from('macros').update(updates).eq('id', req.params.id).select().single();
+    if (error) throw error;
+    res.json({ success: true, macro: data });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update macro', details: error.message });
+  }
+});
+
+app.delete('/api/macros/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { error } = await supabase.from('macros').delete().eq('id', req.params.id);
+    if (error) throw error;
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete macro', details: error.message });
+  }
+});
+
+// ---- POST /api/tickets/:ticketId/macros/:macroId/apply ----
+// Returns the interpolated text for the reply box; runs the macro's actions
+// unless { preview: true }. Sending is still a normal /reply.
+app.post('/api/tickets/:ticketId/macros/:macroId/apply', async (req, res) => {
+  try {
+    const { preview = false } = req.body;
+    // Deactivated macros are hidden from the list and can't be applied by id either
+    const { data: macro } = await supabase.from('macros').select('*').eq('id', req.params.macroId).eq('is_active', true).single();
+    if (!macro) return res.status(404).json({ error: 'Macro not found' });
+    const { data: ticket } = await supabase.from('tickets').select('*, customer:customers(*)').eq('ticket_id', req.params.ticketId).single();
+    if (!ticket) return res.status(404).json({ error: 'Ticket not found' });
+
+    const needsShopify = /\{\{\s*(order\.|customer\.(order_count|total_spent|subscription_status))/.test(macro.content);
+    const ctx = await buildMacroContext(ticket, req.agent, needsShopify);
+    const { text, unresolved } = interpolateMacro(macro.content, ctx);
+
+    const applied = {};
+    const actions = macro.actions || {};
+    if (!preview) {
+      if (actions.add_tags && actions.add_tags.length) {
+        const merged = [...new Set([...(ticket.ai_tags || []), ...actions.add_tags])];
+        await supabase.from('tickets').update({ ai_tags: merged }).eq('id', ticket.id);
+        applied.tags = merged;
+        publishEvent('ticket.updated', { ticketId: ticket.ticket_id, changes: { aiTags: merged }, by: req.agent.id });
+      }
+      if (actions.priority && actions.priority !== ticket.priority) {
+        await updateTicketPriority(ticket, actions.priority);
+        applied.priority = actions.priority;
+      }
+      if (actions.status && actions.status !== ticket.status) {
+        await updateTicketStatus(ticket, actions.status);
+        applied.status = actions.status;
+      }
+      await supabase.from('macros').update({ usage_count: (macro.usage_count || 0) + 1, last_used_at: new Date().toISOString() }).eq('id', macro.id);
+      console.log(`⚡ Macro "${macro.name}" applied to ${ticket.ticket_id} by ${req.agent.name}`);
+    }
+
+    res.json({ success: true, content: text, unresolved, actions: preview ? actions : applied });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to apply macro', details: error.message });
+  }
+});
+
+
+// ============================================================
+// SNOOZE
+// ============================================================
+// A snoozed ticket is hidden from the default queue until snoozed_until,
+// or indefinitely (snoozed_until null) until the customer writes back.
+// Any new customer message wakes it early.
+
+const SNOOZE_CHECK_INTERVAL_MINUTES = parseInt(process.env.SNOOZE_CHECK_INTERVAL_MINUTES || '1', 10);
+const SNOOZE_CLEAR = { snoozed_at: null, snoozed_until: null, snoozed_by: null };
+
+function formatSnooze(t) {
+  if (!t.snoozed_at) return null;
+  return { until: t.snoozed_until, untilReply: !t.snoozed_until, snoozedAt: t.snoozed_at, snoozedBy: t.snoozed_by };
+}
+
+// Called by the threading paths; returns the fields to merge into the ticket update
+async function wakeOnCustomerReply(ticket) {
+  if (!ticket.snoozed_at) return {};
+  await supabase.from('messages').insert({
+    ticket_id: ticket.id,
+    sender_type: 'system',
+    sender_name: 'System',
+    content: `Snooze cancelled — customer replied.`,
+  });
+  console.log(`⏰ Snooze on ${ticket.ticket_id} cancelled by customer reply`);
+  return SNOOZE_CLEAR;
+}
+
+async function wakeSnoozedTickets() {
+  const now = new Date().toISOString();
+  const { data: tickets, error } = await supabase
+    .from('tickets')
+    .select('id, ticket_id, snoozed_until')
+    .not('snoozed_at', 'is', null)
+    .lte('snoozed_until', now);
+  if (error) throw error;
+
+  for (const t of tickets || []) {
+    await supabase.from('tickets').update({ status: 'open', ...SNOOZE_CLEAR, updated_at: now }).eq('id', t.id);
+    await supabase.from('messages').insert({
+      ticket_id: t.id,
+      sender_type: 'system',
+      sender_name: 'System',
+      content: `⏰ Snooze ended — ticket reopened.`,
+    });
+    console.log(`⏰ Snooze ended on ${t.ticket_id}`);
+    publishEvent('ticket.status', { ticketId: t.ticket_id, status: 'open' });
+  }
+}
+
+// ---- POST /api/tickets/:ticketId/snooze ----
+// Body: { until: ISO timestamp } and/or { untilReply: true }
+app.post('/api/tickets/:ticketId/snooze', async (req, res) => {
+  try {
+    const { until, untilReply = false } = req.body;
+    if (!until && !untilReply) return res.status(400).json({ error: 'until or untilReply required' });
+    let snoozedUntil = null;
+    if (until) {
+      const d = new Date(until);
+      if (isNaN(d.getTime())) return res.status(400).json({ error: 'Invalid until timestamp' });
+      if (d.getTime() <= Date.now()) return res.status(400).json({ error: 'until must be in the future' });
+      snoozedUntil = d.toISOString();
+    }
+
+    const { data: ticket } = await supabase.from('tickets').select('id, ticket_id, status').eq('ticket_id', req.params.ticketId).single();
+    if (!ticket) return res.status(404).json({ error: 'Ticket not found' });
+    if (ticket.status === 'resolved' || ticket.status === 'closed') return res.status(400).json({ error: 'Cannot snooze a resolved ticket' });
+
+    const now = new Date().toISOString();
+    const { error } = await supabase.from('tickets').update({
+      status: 'pending',
+      snoozed_at: now,
+      snoozed_until: snoozedUntil,
+      snoozed_by: req.agent.id,
+      updated_at: now,
+    }).eq('id', ticket.id);
+    if (error) throw error;
+
+    await supabase.from('messages').insert({
+      ticket_id: ticket.id,
+      sender_type: 'system',
+      sender_name: 'System',
+      content: snoozedUntil
+        ? `${req.agent.name} snoozed this ticket until ${new Date(snoozedUntil).toLocaleString('en-US')}.`
+        : `${req.agent.name} snoozed this ticket until the customer replies.`,
+    });
+
+    console.log(`💤 ${ticket.ticket_id} snoozed by ${req.agent.name} until ${snoozedUntil || 'reply'}`);
+    publishEvent('ticket.updated', { ticketId: ticket.ticket_id, changes: { snoozedUntil, status: 'pending' }, by: req.agent.id });
+    res.json({ success: true, snooze: { until: snoozedUntil, untilReply: !snoozedUntil, snoozedAt: now, snoozedBy: req.agent.id } });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to snooze ticket', details: error.message });
+  }
+});
+
+// ---- DELETE /api/tickets/:ticketId/snooze ----
+app.delete('/api/tickets/:ticketId/snooze', async (req, res) => {
+  try {
+    const { data: ticket } = await supabase.from('tickets').select('id, snoozed_at').eq('ticket_id', req.params.ticketId).single();
+    if (!ticket) return res.status(404).json({ error: 'Ticket not found' });
+    if (!ticket.snoozed_at) return res.json({ success: true });
+    const { error } = await supabase.from('tickets').update({ status: 'open', ...SNOOZE_CLEAR, updated_at: new Date().toISOString() }).eq('id', ticket.id);
+    if (error) throw error;
+    await supabase.from('messages').insert({
+      ticket_id: ticket.id,
+      sender_type: 'system',
+      sender_name: 'System',
+      content: `${req.agent.name} unsnoozed this ticket.`,
+    });
+    publishEvent('ticket.status', { ticketId: req.params.ticketId, status: 'open' });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to unsnooze ticket', details: error.message });
+  }
+});
+
+
+// ============================================================
+// AUTO-CLOSE (stale pending tickets)
+// ============================================================
+// Pending tickets where we answered and the customer hasn't come back in
+// AUTO_CLOSE_AFTER_DAYS get a heads-up email and are resolved. The email is
+// threaded like any agent reply, so answering it reopens the ticket through
+// the normal inbound handlers. Set AUTO_CLOSE_AFTER_DAYS=0 to disable.
+
+const AUTO_CLOSE_AFTER_DAYS = parseFloat(process.env.AUTO_CLOSE_AFTER_DAYS || '7');
+const AUTO_CLOSE_CHECK_INTERVAL_MINUTES = parseInt(process.env.AUTO_CLOSE_CHECK_INTERVAL_MINUTES || '60', 10);
+
+// Returns the agent message we're waiting on, or null if the customer spoke last
+function lastUnansweredAgentMessage(messages) {
+  const thread = (messages || [])
+    .filter(m => m.sender_type === 'customer' || (m.sender_type === 'agent' && m.sender_name !== 'Auto-reply'))
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  const last = thread[thread.length - 1];
+  return last && last.sender_type === 'agent' ? last : null;
+}
+
+// Saves the notice to the thread and queues the email; returns false if there's no one to tell
+// Returns 'sent', 'file' (file transport), 'queued' (first attempt failed, the outbox has it) or null (no email on file)
+async function sendAutoCloseEmail(ticket) {
+  const customer = ticket.customer;
+  if (!customer?.email) return null;
+  const firstName = (customer.name || '').split(' ')[0] || 'there';
+  const { inReplyTo, references } = await threadingHeadersForTicket(ticket.id);
+  const messageId = generateMessageId(ticket.ticket_id);
+  const { data: notice, error } = await supabase.from('messages').insert({
+    ticket_id: ticket.id,
+    sender_type: 'agent',
+    sender_name: 'Auto-close',
+    content: `We haven't heard back from you in a little while, so we're going to close this one out. If there's still anything we can help with, just reply to this email and it'll reopen your ticket.`,
+    email_message_id: messageId,
+  }).select('id').single();
+  if (error) throw error;
+  const body = `<p>Hey ${firstName}!</p>
+        <p>We haven't heard back from you in a little while, so we're going to close this one out.</p>
+        <p>If there's still anything we can help with, just reply to this email and it'll reopen your ticket right where we left off.</p>
+        <p>TIPSY AF Support</p>`;
+  const { sent } = await queueEmail({
+    to: customer.email,
+    subject: `Re: ${ticket.subject} [${ticket.ticket_id}]`,
+    text: `Hey ${firstName}!\n\nWe haven't heard back from you in a little while, so we're going to close this one out.\n\nIf there's still anything we can help with, just reply to this email and it'll reopen your ticket right where we left off.\n\nTIPSY AF Support\n\n---\nRef: ${ticket.ticket_id}`,
+    html: emailTemplate(body, ticket.ticket_id),
+    headers: { 'X-Ticket-ID': ticket.ticket_id },
+    messageId,
+    inReplyTo,
+    references,
+  }, { kind: 'auto_close', ticket, messageRowId: notice.id });
+  if (!sent) return 'queued';
+  return EMAIL_IS_LIVE ? 'sent' : 'file';
+}
+
+const AUTO_CLOSE_EMAIL_NOTES = {
+  sent: ' Customer notified by email.',
+  queued: ' The closing email has not gone out yet; it is in the outbox for retry.',
+  file: ' The closing email was written to a file (EMAIL_TRANSPORT=file), not sent.',
+  none: ' Customer was not emailed.',
+};
+
+async function autoCloseStaleTickets() {
+  const cutoff = new Date(Date.now() - AUTO_CLOSE_AFTER_DAYS * 24 * 60 * 60 * 1000);
+  const { data: tickets, error } = await supabase
+    .from('tickets')
+    .select('*, customer:customers(email, name), messages(sender_type, sender_name, created_at)')
+    .eq('status', 'pending')
+    .is('snoozed_at', null)
+    .lt('updated_at', cutoff.toISOString());
+  if (error) throw error;
+
+  for (const t of tickets || []) {
+    const waitingOn = lastUnansweredAgentMessage(t.messages);
+    if (!waitingOn || new Date(waitingOn.created_at) > cutoff) continue;
+
+    let emailed = null;
+    try {
+      emailed = await sendAutoCloseEmail(t);
+    } catch (emailErr) {
+      // Still close it; the system message records that the customer wasn't told
+      console.error(`❌ Auto-close email failed for ${t.ticket_id}:`, emailErr.message);
+    }
+
+    await updateTicketStatus(t, 'resolved');
+    await supabase.from('messages').insert({
+      ticket_id: t.id,
+      sender_type: 'system',
+      sender_name: 'System',
+      content: `Auto-resolved after ${AUTO_CLOSE_AFTER_DAYS} days with no customer reply.${AUTO_CLOSE_EMAIL_NOTES[emailed] || AUTO_CLOSE_EMAIL_NOTES.none}`,
+      metadata: { auto_closed: true, notified: emailed === 'sent', email: emailed || 'none' },
+    });
+    console.log(`🗂 Auto-closed ${t.ticket_id} (no reply since ${waitingOn.created_at})`);
+  }
+}
+
+
+// ============================================================
+// CSAT SURVEYS
+// ============================================================
+// Resolving a ticket from the dashboard emails a 1-5 rating as a row of
+// links. Links carry an HMAC of the ticket ID and resolution time (CSAT_SECRET)
+// and expire after CSAT_LINK_TTL_DAYS, so the public /csat endpoints need no
+// login. The link itself only shows a confirm button that POSTs the rating:
+// mail link scanners open (and sometimes script) every link, and anything
+// that saved without a click would record whichever they opened last.
+// Results live on the ticket row: csat_sent_at, csat_score, csat_comment,
+// csat_rated_at.
+
+const CSAT_SECRET = process.env.CSAT_SECRET;
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+const CSAT_LINK_TTL_DAYS = parseInt(process.env.CSAT_LINK_TTL_DAYS || '30', 10);
+const CSAT_SCORES = {
+  5: { label: 'Amazing', emoji: '😍' },
+  4: { label: 'Good', emoji: '🙂' },
+  3: { label: 'Okay', emoji: '😐' },
+  2: { label: 'Not great', emoji: '🙁' },
+  1: { label: 'Bad', emoji: '😞' },
+};
+
+if (!CSAT_SECRET) console.warn('⚠️ CSAT_SECRET not set, satisfaction surveys are disabled');
+
+// ts: when the ticket was resolved (ms), so every survey gets its own signature
+function csatSignature(ticketId, ts) {
+  return crypto.createHmac('sha256', CSAT_SECRET).update(`csat.${ticketId}.${ts}`).digest('base64url');
+}
+
+function csatLink(ticketId, ts, score) {
+  return `${PUBLIC_URL}/csat/${encodeURIComponent(ticketId)}?score=${score}&ts=${ts}&sig=${csatSignature(ticketId, ts)}`;
+}
+
+// Sent once per ticket; reopening and resolving again doesn't re-survey
+async function sendCsatSurvey(ticket) {
+  if (!CSAT_SECRET || ticket.csat_sent_at) return false;
+  const { data: customer } = await supabase.from('customers').select('email, name').eq('id', ticket.customer_id).single();
+  if (!customer?.email) return false;
+
+  const firstName = (customer.name || '').split(' ')[0] || 'there';
+  const ts = new Date(ticket.resolved_at || Date.now()).getTime();
+  const buttons = Object.keys(CSAT_SCORES).sort((a, b) => b - a).map(score => {
+    const { label, emoji } = CSAT_SCORES[score];
+    return `<a href="${csatLink(ticket.ticket_id, ts, score)}" style="display:inline-block;margin:4px;padding:10px 12px;border:1px solid #e3e3e3;border-radius:8px;text-decoration:none;color:#333;font-size:14px;">${emoji} ${label}</a>`;
+  }).join('');
+  const body = `<p>Hey ${firstName}!</p>
+        <p>We've marked your request as resolved. How did we do?</p>
+        <div style="text-align:center;padding:8px 0 4px;">${buttons}</div>
+        <p style="font-size:13px;color:#999;">Pick one and confirm on the next page. Thanks for helping us get better!</p>`;
+  const text = `Hey ${firstName}!\n\nWe've marked your request as resolved. How did we do?\n\n`
+    + Object.keys(CSAT_SCORES).sort((a, b) => b - a).map(score => `${CSAT_SCORES[score].label}: ${csatLink(ticket.ticket_id, ts, score)}`).join('\n')
+    + `\n\n---\nRef: ${ticket.ticket_id}`;
+
+  await queueEmail({
+    to: customer.email,
+    subject: `How did we do? [${ticket.ticket_id}]`,
+    text,
+    html: emailTemplate(body, ticket.ticket_id),
+    headers: { 'X-Ticket-ID': ticket.ticket_id },
+  }, { kind: 'csat', ticket });
+  await supabase.from('tickets').update({ csat_sent_at: new Date().toISOString() }).eq('id', ticket.id);
+  console.log(`⭐ CSAT survey sent for ${ticket.ticket_id}`);
+  return true;
+}
+
+function csatPage(bodyHTML) {
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1.0"><title>TIPSY AF</title></head>
+<body style="margin:0;padding:0;background:#f6f6f7;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Arial,sans-serif;">
+  <div style="max-width:480px;margin:0 auto;padding:48px 16px;">
+    <div style="background:#fff;border-radius:12px;box-shadow:0 1px 3px rgba(0,0,0,0.08);padding:28px 24px;text-align:center;font-size:15px;line-height:1.6;color:#333;">
+      <img src="${LOGO_URL}" alt="TIPSY AF" width="44" height="44" style="border-radius:10px;margin-bottom:12px;">
+      ${bodyHTML}
+    </div>
+  </div>
+</body></html>`;
+}
+
+async function csatTicket(req, res) {
+  const { ticketId } = req.params;
+  const sig = String(req.query.sig || req.body?.sig || '');
+  const ts = parseInt(req.query.ts || req.body?.ts, 10);
+  const expired = !ts || Date.now() - ts > CSAT_LINK_TTL_DAYS * 24 * 60 * 60 * 1000;
+  if (!CSAT_SECRET || expired || !safeEqual(sig, csatSignature(ticketId, ts))) {
+    res.status(403).send(csatPage(expired && CSAT_SECRET ? '<p>Sorry, this survey has expired.</p>' : '<p>Sorry, this link isn\'t valid.</p>'));
+    return null;
+  }
+  const { data: ticket } = await supabase.from('tickets').select('id, ticket_id, csat_score').eq('ticket_id', ticketId).single();
+  if (!ticket) {
+    res.status(404).send(csatPage('<p>Sorry, we couldn\'t find that request.</p>'));
+    return null;
+  }
+  return { ticket, sig, ts };
+}
+
+// Only called after csatTicket has matched sig against our own HMAC, so it is safe to echo
+function csatHiddenFields(sig, ts) {
+  return `<input type="hidden" name="sig" value="${sig}"><input type="hidden" name="ts" value="${ts}">`;
+}
+
+// ---- GET /csat/:ticketId?score=1-5&ts=...&sig=... ---- (public, linked from the email)
+// Saves nothing: the customer confirms with the button, so link scanners and
+// prefetchers (including ones that run JS) can't cast a rating
+app.get('/csat/:ticketId', async (req, res) => {
+  try {
+    const found = await csatTicket(req, res);
+    if (!found) return;
+    const { ticket, sig, ts } = found;
+    const score = parseInt(req.query.score, 10);
+    if (!CSAT_SCORES[score]) return res.status(400).send(csatPage('<p>Sorry, that rating isn\'t valid.</p>'));
+
+    res.send(csatPage(`<p style="font-size:32px;margin:0;">${CSAT_SCORES[score].emoji}</p>
+      <form method="POST" action="/csat/${encodeURIComponent(ticket.ticket_id)}">
+        ${csatHiddenFields(sig, ts)}<input type="hidden" name="score" value="${score}">
+        <button type="submit" style="margin-top:10px;padding:10px 18px;border:none;border-radius:8px;background:#1a1a1a;color:#fff;font:inherit;cursor:pointer;">Send rating: ${CSAT_SCORES[score].label}</button>
+      </form>`));
+  } catch (error) {
+    res.status(500).send(csatPage('<p>Something went wrong, please try again.</p>'));
+  }
+});
+
+// ---- POST /csat/:ticketId ---- (public)
+// { score } records the rating (a later pick replaces it); { comment } adds the optional comment.
+app.post('/csat/:ticketId', async (req, res) => {
+  try {
+    const found = await csatTicket(req, res);
+    if (!found) return;
+    const { ticket, sig, ts } = found;
+
+    if (req.body.score !== undefined) {
+      const score = parseInt(req.body.score, 10);
+      if (!CSAT_SCORES[score]) return res.status(400).send(csatPage('<p>Sorry, that rating isn\'t valid.</p>'));
+      await supabase.from('tickets').update({ csat_score: score, csat_rated_at: new Date().toISOString() }).eq('id', ticket.id);
+      console.log(`⭐ CSAT ${score}/5 for ${ticket.ticket_id}`);
+
+      return res.send(csatPage(`<p style="font-size:32px;margin:0;">${CSAT_SCORES[score].emoji}</p>
+      <p style="font-weight:600;margin:8px 0 4px;">Thanks for the feedback!</p>
+      <p style="color:#666;margin:0 0 16px;">Anything you'd like to add? (optional)</p>
+      <form method="POST" action="/csat/${encodeURIComponent(ticket.ticket_id)}">
+        ${csatHiddenFields(sig, ts)}
+        <textarea name="comment" rows="4" maxlength="2000" style="width:100%;box-sizing:border-box;padding:10px;border:1px solid #e3e3e3;border-radius:8px;font:inherit;"></textarea>
+        <button type="submit" style="margin-top:10px;padding:10px 18px;border:none;border-radius:8px;background:#1a1a1a;color:#fff;font:inherit;cursor:pointer;">Send</button>
+      </form>`));
+    }
+
+    if (!ticket.csat_score) return res.status(400).send(csatPage('<p>Please pick a rating from the email first.</p>'));
+    const comment = String(req.body.comment || '').trim().slice(0, 2000);
+    if (comment) {
+      await supabase.from('tickets').update({ csat_comment: comment }).eq('id', ticket.id);
+      await supabase.from('messages').insert({
+        ticket_id: ticket.id,
+        sender_type: 'system',
+        sender_name: 'System',
+        content: `CSAT comment (${ticket.csat_score}/5): ${comment}`,
+      });
+    }
+    res.send(csatPage('<p style="font-weight:600;">Got it, thank you!</p><p style="color:#666;">You can close this page.</p>'));
+  } catch (error) {
+    res.status(500).send(csatPage('<p>Something went wrong, please try again.</p>'));
+  }
+});
+
+// Monday of the week, as YYYY-MM-DD (UTC)
+function weekStart(date) {
+  const d = new Date(date);
+  d.setUTCHours(0, 0, 0, 0);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+function csatBucket() {
+  return { sent: 0, responses: 0, total: 0, satisfied: 0 };
+}
+
+function csatSummary(b) {
+  return {
+    sent: b.sent,
+    responses: b.responses,
+    responseRate: b.sent ? Math.round((b.responses / b.sent) * 100) : null,
+    avgScore: b.responses ? Math.round((b.total / b.responses) * 100) / 100 : null,
+    csat: b.responses ? Math.round((b.satisfied / b.responses) * 100) : null, // % rating 4 or 5
+  };
+}
+
+// ---- GET /api/csat/report?weeks=12 ----
+app.get('/api/csat/report', async (req, res) => {
+  try {
+    const weeks = Math.min(parseInt(req.query.weeks || '12', 10) || 12, 104);
+    const since = new Date(Date.now() - weeks * 7 * 24 * 60 * 60 * 1000).toISOString();
+    const { data: tickets, error } = await supabase
+      .from('tickets')
+      .select('ticket_id, purpose, assignee_id, csat_sent_at, csat_score, csat_comment, csat_rated_at, assignee:agents!assignee_id(id, name)')
+      .gte('csat_sent_at', since);
+    if (error) throw error;
+
+    const overall = csatBucket();
+    const byAgent = {}, byPurpose = {}, byWeek = {};
+    for (const t of tickets || []) {
+      const agentKey = t.assignee_id || 'unassigned';
+      byAgent[agentKey] = byAgent[agentKey] || { agent: t.assignee ? { id: t.assignee.id, name: t.assignee.name } : null, ...csatBucket() };
+      const purposeKey = t.purpose || 'Other';
+      byPurpose[purposeKey] = byPurpose[purposeKey] || csatBucket();
+      const weekKey = weekStart(t.csat_sent_at);
+      byWeek[weekKey] = byWeek[weekKey] || csatBucket();
+
+      for (const b of [overall, byAgent[agentKey], byPurpose[purposeKey], byWeek[weekKey]]) {
+        b.sent++;
+        if (t.csat_score) {
+          b.responses++;
+          b.total += t.csat_score;
+          if (t.csat_score >= 4) b.satisfied++;
+        }
+      }
+    }
+
+    const recentComments = (tickets || [])
+      .filter(t => t.csat_comment)
+      .sort((a, b) => new Date(b.csat_rated_at) - new Date(a.csat_rated_at))
+      .slice(0, 20)
+      .map(t => ({ ticketId: t.ticket_id, score: t.csat_score, comment: t.csat_comment, ratedAt: t.csat_rated_at, agent: t.assignee?.name || null }));
+
+    res.json({
+      weeks,
+      overall: csatSummary(overall),
+      byAgent: Object.values(byAgent).map(b => ({ agent: b.agent, ...csatSummary(b) })),
+      byPurpose: Object.entries(byPurpose).map(([purpose, b]) => ({ purpose, ...csatSummary(b) })),
+      byWeek: Object.entries(byWeek).sort(([a], [b]) => a.localeCompare(b)).map(([week, b]) => ({ week, ...csatSummary(b) })),
+      recentComments,
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to build CSAT report', details: error.message });
+  }
+});
+
+
+// ============================================================
+// SEARCH
+// ============================================================
+// GET /api/tickets?search=... matches every term (AND) against ticket
+// subject/ID/summary/tags, message and note content, and customer
+// name/email/alt emails/tags. Order numbers ("#1042") are matched on their
+// digits in our own text and, when Shopify is configured, looked up there so
+// the buyer's tickets turn up even if nobody wrote the number down. Every
+// lookup carries the list filters, and the SEARCH_MAX_CANDIDATES most recently
+// active matches are ranked by where the terms hit and get a highlighted
+// snippet (HTML-escaped, hits wrapped in <mark>).
+
+const SEARCH_MAX_TERMS = 6;
+const SEARCH_MAX_CANDIDATES = 200;
+const SEARCH_SOURCE_LIMIT = 500;
+const SEARCH_WEIGHTS = { ticketId: 50, order: 40, subject: 10, customer: 8, tag: 6, summary: 4, note: 3, message: 2 };
+
+// Quoted phrases stay together: refund "never arrived" #1042
+function parseSearchTerms(q) {
+  const terms = [];
+  const re = /"([^"]+)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(String(q))) !== null) {
+    let term = (m[1] || m[2]).toLowerCase();
+    if (/^#\d{3,}$/.test(term)) term = term.slice(1);
+    // Characters that would break a PostgREST or() filter or an ilike pattern
+    term = term.replace(/[,()*%\\"{}]/g, ' ').replace(/\s+/g, ' ').trim();
+    if (term.length >= 2 && !terms.includes(term)) terms.push(term);
+  }
+  return terms.slice(0, SEARCH_MAX_TERMS);
+}
+
+// Tags are stored as written ("At risk") and array matching is case-sensitive,
+// so look for the known tags containing the term plus the usual casings of it
+function tagVariants(term) {
+  const known = TRIAGE_TAGS.filter(t => t.toLowerCase().includes(term));
+  const sentence = term.charAt(0).toUpperCase() + term.slice(1);
+  const title = term.replace(/\b\w/g, c => c.toUpperCase());
+  const variants = [...new Set([term, sentence, title, term.toUpperCase(), ...known])];
+  return `{${variants.map(v => `"${v}"`).join(',')}}`;
+}
+
+// Customers who placed Shopify order <term>, matched to ours by email. A
+// Shopify outage shouldn't break search, so failures just match nothing.
+async function customerIdsForOrder(term) {
+  if (!SHOPIFY_TOKEN || !/^\d{3,}$/.test(term)) return [];
+  try {
+    const { orders = [] } = await shopifyAPI('orders', { name: term, status: 'any', limit: 5, fields: 'id,email,customer' });
+    const emails = [...new Set(orders.map(o => (o.email || o.customer?.email || '').trim().toLowerCase()).filter(Boolean))];
+    if (!emails.length) return [];
+    const { data, error } = await supabase.from('customers').select('id').in('email', emails);
+    if (error) throw error;
+    return data.map(c => c.id);
+  } catch (err) {
+    console.error(`❌ Shopify order lookup for #${term} failed:`, err.message);
+    return [];
+  }
+}
+
+// Tickets (id -> updated_at) matching one term anywhere, with the list
+// filters applied; orderIds are the ones found through a Shopify order
+async function ticketIdsForTerm(term, filter) {
+  const like = `%${term}%`;
+  const tags = tagVariants(term);
+  const viaTicket = q => filter(q, c => `tickets.${c}`);
+  const [tickets, messages, notes, customers, orderCustomerIds] = await Promise.all([
+    filter(supabase.from('tickets').select('id, updated_at')
+      .or(`subject.ilike.${like},ticket_id.ilike.${like},ai_summary.ilike.${like},ai_tags.ov.${tags}`))
+      .order('updated_at', { ascending: false }).limit(SEARCH_SOURCE_LIMIT),
+    viaTicket(supabase.from('messages').select('ticket_id, tickets!inner(updated_at)').ilike('content', like))
+      .order('created_at', { ascending: false }).limit(SEARCH_SOURCE_LIMIT),
+    viaTicket(supabase.from('notes').select('ticket_id, tickets!inner(updated_at)').ilike('content', like))
+      .order('created_at', { ascending: false }).limit(SEARCH_SOURCE_LIMIT),
+    supabase.from('customers').select('id')
+      .or(`name.ilike.${like},email.ilike.${like},alt_emails.cs.{${term}},tags.ov.${tags}`)
+      .limit(100),
+    customerIdsForOrder(term),
+  ]);
+  for (const r of [tickets, messages, notes, customers]) if (r.error) throw r.error;
+
+  const ids = new Map(tickets.data.map(t => [t.id, t.updated_at]));
+  for (const m of [...messages.data, ...notes.data]) ids.set(m.ticket_id, m.tickets.updated_at);
+
+  const orderIds = new Set();
+  const customerIds = [...new Set([...customers.data.map(c => c.id), ...orderCustomerIds])];
+  if (customerIds.length) {
+    const { data: customerTickets, error } = await filter(supabase.from('tickets').select('id, updated_at, customer_id')
+      .in('customer_id', customerIds))
+      .order('updated_at', { ascending: false }).limit(SEARCH_SOURCE_LIMIT);
+    if (error) throw error;
+    for (const t of customerTickets) {
+      ids.set(t.id, t.updated_at);
+      if (orderCustomerIds.includes(t.customer_id)) orderIds.add(t.id);
+    }
+  }
+  return { ids, orderIds };
+}
+
+// Tickets matching every term, most recently active first; orderMatches maps
+// term -> ticket ids it matched through Shopify (see rankTicket)
+async function searchTicketIds(terms, filter) {
+  const perTerm = await Promise.all(terms.map(term => ticketIdsForTerm(term, filter)));
+  const [first, ...rest] = perTerm;
+  const ids = [...first.ids]
+    .filter(([id]) => rest.every(r => r.ids.has(id)))
+    .sort((a, b) => new Date(b[1]) - new Date(a[1]))
+    .slice(0, SEARCH_MAX_CANDIDATES)
+    .map(([id]) => id);
+  const orderMatches = new Map(terms.map((term, i) => [term, perTerm[i].orderIds]));
+  return { ids, orderMatches };
+}
+
+function escapeHTML(str) {
+  return String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function countHits(text, term) {
+  if (!text) return 0;
+  const hay = String(text).toLowerCase();
+  let n = 0, i = hay.indexOf(term);
+  while (i !== -1) { n++; i = hay.indexOf(term, i + term.length); }
+  return n;
+}
+
+// ~160 chars around the first hit, with every term highlighted
+function makeSnippet(text, terms, radius = 70) {
+  const str = String(text).replace(/\s+/g, ' ');
+  const lower = str.toLowerCase();
+  const first = Math.min(...terms.map(t => lower.indexOf(t)).filter(i => i !== -1));
+  const start = Number.isFinite(first) ? Math.max(0, first - radius) : 0;
+  const end = Math.min(str.length, (Number.isFinite(first) ? first : 0) + radius * 1.3);
+  const slice = str.slice(start, end);
+  const pattern = new RegExp(`(${terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+  const html = slice.split(pattern).map((part, i) => i % 2 ? `<mark>${escapeHTML(part)}</mark>` : escapeHTML(part)).join('');
+  return (start > 0 ? '…' : '') + html + (end < str.length ? '…' : '');
+}
+
+// Score a fetched ticket row; every term must hit something (text or a Shopify order) or the score is 0
+function rankTicket(t, terms, orderMatches = null) {
+  const customer = t.customer || {};
+  const fields = [
+    { field: 'ticketId', texts: [t.ticket_id] },
+    { field: 'subject', texts: [t.subject] },
+    { field: 'customer', texts: [customer.name, customer.email, ...(customer.alt_emails || [])] },
+    { field: 'tag', texts: [...(t.ai_tags || []), ...(customer.tags || [])] },
+    { field: 'summary', texts: [t.ai_summary] },
+    { field: 'note', texts: (t.notes || []).map(n => n.content) },
+    { field: 'message', texts: (t.messages || []).filter(m => m.sender_type !== 'system').map(m => m.content) },
+  ];
+
+  let score = 0;
+  const matched = new Set();
+  for (const term of terms) {
+    let termScore = 0;
+    if (orderMatches?.get(term)?.has(t.id)) {
+      termScore += SEARCH_WEIGHTS.order;
+      matched.add('order');
+    }
+    for (const { field, texts } of fields) {
+      // Diminishing returns for repeated hits in the same field
+      const hits = texts.reduce((n, text) => n + countHits(text, term), 0);
+      if (hits) {
+        termScore += SEARCH_WEIGHTS[field] * (1 + Math.log(hits));
+        matched.add(field);
+      }
+    }
+    if (!termScore) return { score: 0, matched: [], snippet: null };
+    score += termScore;
+  }
+  // Small nudge toward recent activity (halves every 30 days)
+  const ageDays = (Date.now() - new Date(t.updated_at).getTime()) / 86400000;
+  score *= 1 + 0.5 * Math.pow(0.5, ageDays / 30);
+
+  // Snippet from the most specific place the terms appear
+  let snippet = null;
+  for (const field of ['message', 'note', 'subject', 'summary', 'customer']) {
+    const { texts } = fields.find(f => f.field === field);
+    const best = texts.filter(Boolean)
+      .map(text => ({ text, hits: terms.filter(term => countHits(text, term)).length }))
+      .sort((a, b) => b.hits - a.hits)[0];
+    if (best && best.hits) { snippet = { field, html: makeSnippet(best.text, terms) }; break; }
+  }
+
+  return { score: Math.round(score * 100) / 100, matched: [...matched], snippet };
+}
+
+
 // ============================================================
 // TRANSCRIPT CLEANUP (AI-enhanced speech-to-text)
 // ============================================================
@@ -1754,6 +5310,36 @@ app.post('/api/tickets/cleanup-transcript', async (req, res) => {
 });
 
 
+// ============================================================
+// BACKGROUND JOBS
+// ============================================================
+// Simple in-process interval jobs. A run is skipped if the previous
+// one is still going.
+
+function startJob(name, intervalMinutes, fn) {
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await fn();
+    } catch (err) {
+      console.error(`❌ Job ${name} failed:`, err.message);
+    } finally {
+      running = false;
+    }
+  };
+  setInterval(run, intervalMinutes * 60 * 1000);
+  console.log(`⏱ Job ${name} every ${intervalMinutes} min`);
+}
+
+
 app.listen(PORT, () => {
   console.log(`🍄 TIPSY AF CS Backend v5 running on port ${PORT}`);
+  startJob('sla-check', SLA_CHECK_INTERVAL_MINUTES, checkSlaBreaches);
+  startJob('snooze-wake', SNOOZE_CHECK_INTERVAL_MINUTES, wakeSnoozedTickets);
+  startJob('outbox', OUTBOX_INTERVAL_MINUTES, processOutbox);
+  if (ANTHROPIC_API_KEY) startJob('summaries', SUMMARY_INTERVAL_MINUTES, refreshStaleSummaries);
+  setInterval(sweepPresence, PRESENCE_SWEEP_MS);
+  if (AUTO_CLOSE_AFTER_DAYS > 0) startJob('auto-close', AUTO_CLOSE_CHECK_INTERVAL_MINUTES, autoCloseStaleTickets);
 });
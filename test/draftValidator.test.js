@@ -0,0 +1,84 @@
+// ============================================================
+// Draft checks: phrasings that have tripped validateDraft() up
+// Offers have to be real offers (not refusals, in any of our three
+// languages), number ranges keep their hyphen, and the sign-off ends
+// up exactly once at the bottom.
+// ============================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateDraft } = require('../draftValidator');
+
+const SIGNATURE = 'Cheers,\nThe TIPSY AF Team';
+const DISCOUNT_POLICY = [{ category: 'policy', title: 'Late orders', content: 'Late orders get 15% off the next one with a discount code.' }];
+
+function check(body, options = {}) {
+  return validateDraft(`${body}\n\n${SIGNATURE}`, { signature: SIGNATURE, ...options });
+}
+const codes = result => result.warnings.map(w => w.code);
+
+test('flags a refund offer with no refund policy behind it', () => {
+  assert.deepStrictEqual(codes(check('Happy to refund your order today.')), ['unbacked_refund']);
+});
+
+for (const refusal of [
+  "We can't refund this order, sorry.",
+  'Unfortunately this order is not eligible for a refund.',
+  'We are unable to offer store credit for opened cans.',
+  'No podemos reembolsar este pedido.',
+  'Nous ne pouvons pas rembourser cette commande.',
+]) {
+  test(`treats "${refusal}" as a refusal, not an offer`, () => {
+    assert.deepStrictEqual(codes(check(refusal)), []);
+  });
+}
+
+test('still flags an offer later in the same draft as a refusal', () => {
+  assert.deepStrictEqual(codes(check("We can't reship it. We'll refund you instead.")), ['unbacked_refund']);
+});
+
+test('accepts a discount the policy backs, at the same percentage', () => {
+  assert.deepStrictEqual(codes(check("Here's 15% off your next order.", { kbEntries: DISCOUNT_POLICY })), []);
+  assert.deepStrictEqual(codes(check("Here's 20% off your next order.", { kbEntries: DISCOUNT_POLICY })), ['unbacked_discount']);
+});
+
+test('keeps hyphens in number ranges and replaces dashes between words', () => {
+  const result = check('Delivery takes 5 - 10 business days, or 3–5 days — express.');
+  assert.strictEqual(result.draft, `Delivery takes 5 - 10 business days, or 3-5 days, express.\n\n${SIGNATURE}`);
+  assert.deepStrictEqual(codes(result), ['dashes']);
+});
+
+test('leaves a draft with only number ranges alone', () => {
+  const result = check('Most orders arrive in 3-5 days, 5 - 7 for Alaska.');
+  assert.deepStrictEqual(codes(result), []);
+});
+
+test('leaves a correct sign-off alone', () => {
+  const result = check('Thanks for waiting.');
+  assert.strictEqual(result.draft, `Thanks for waiting.\n\n${SIGNATURE}`);
+  assert.deepStrictEqual(codes(result), []);
+});
+
+for (const [name, draft] of [
+  ['a missing sign-off', 'Thanks for waiting.'],
+  ['a closing without the team name', 'Thanks for waiting.\n\nCheers,'],
+  ['a differently cased sign-off', 'Thanks for waiting.\n\ncheers,\nthe tipsy af team'],
+  ['a sign-off followed by blank lines', 'Thanks for waiting.\n\nThe TIPSY AF Team\n\n'],
+]) {
+  test(`puts the sign-off on once after ${name}`, () => {
+    const result = validateDraft(draft, { signature: SIGNATURE });
+    assert.strictEqual(result.draft, `Thanks for waiting.\n\n${SIGNATURE}`);
+    assert.deepStrictEqual(codes(result), ['signature']);
+  });
+}
+
+test('keeps a different closing directly above the signature', () => {
+  const result = validateDraft('Thanks for waiting.\n\nTalk soon,', { signature: SIGNATURE });
+  assert.strictEqual(result.draft, `Thanks for waiting.\n\nTalk soon,\n${SIGNATURE}`);
+});
+
+test('flags order and tracking numbers that are not in the known data', () => {
+  const known = 'Order #1001 shipped with tracking 1Z999AA10123456784';
+  assert.deepStrictEqual(codes(check('Order #1001 is on its way: 1Z999AA10123456784.', { knownText: known })), []);
+  assert.deepStrictEqual(codes(check('Order #1002 is on its way: 1Z999AA10123456785.', { knownText: known })), ['unknown_order', 'unknown_tracking']);
+});
@@ -0,0 +1,25 @@
+// ============================================================
+// Language detection for inbound messages
+// Short or ambiguous messages must come back null so a one-word
+// "Merci" doesn't switch a customer's drafts to French.
+// ============================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { detectLanguage } = require('../languageDetection');
+
+for (const [text, language] of [
+  ['Hi, my order hasn\'t arrived yet, can you check it for me please?', 'en'],
+  ['Hola, mi pedido no ha llegado todavía, ¿pueden ayudarme por favor?', 'es'],
+  ["Bonjour, je n'ai pas reçu ma commande, merci de vérifier", 'fr'],
+]) {
+  test(`detects ${language}`, () => {
+    assert.strictEqual(detectLanguage(text), language);
+  });
+}
+
+for (const text of ['Merci', 'ok thanks', '#1042', '']) {
+  test(`returns null for "${text}"`, () => {
+    assert.strictEqual(detectLanguage(text), null);
+  });
+}
@@ -0,0 +1,25 @@
+// ============================================================
+// Reply extraction against real-world client samples
+// Each fixtures/replies/<name>.eml is a full MIME message as a mail client
+// sent it; <name>.txt is the customer text we expect to keep.
+// Add a new pair whenever a client's quoting slips through.
+// ============================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { extractReply, parseRawEmail } = require('../replyExtractor');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'replies');
+
+for (const file of fs.readdirSync(FIXTURES).filter(f => f.endsWith('.eml')).sort()) {
+  const name = file.replace(/\.eml$/, '');
+  test(`extracts the reply from ${name}`, async () => {
+    const raw = fs.readFileSync(path.join(FIXTURES, file));
+    const expected = fs.readFileSync(path.join(FIXTURES, `${name}.txt`), 'utf8').trim();
+    const parsed = await parseRawEmail(raw);
+    const { body } = extractReply({ text: parsed.text, html: parsed.html });
+    assert.strictEqual(body, expected);
+  });
+}
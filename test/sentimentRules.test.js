@@ -0,0 +1,51 @@
+// ============================================================
+// Rule-based sentiment: first-person threats count, mentions don't
+// These are the patterns used when Claude isn't available, so a
+// false positive here bumps a ticket to urgent for nothing.
+// ============================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { detectThreats, keywordSentiment } = require('../sentimentRules');
+
+const THREATS = [
+  ["I'm going to file a chargeback", 'chargeback'],
+  ['I’ll have to dispute the charge', 'chargeback'],
+  ["I've already called my bank", 'chargeback'],
+  ['We are disputing this with the card issuer', 'chargeback'],
+  ["I'm going to leave a terrible one-star review", 'public_review'],
+  ['I will report you to the BBB', 'public_review'],
+  ['I posted a bad review', 'public_review'],
+  ["I'm suing you", 'legal'],
+  ['I will take you to small claims court', 'legal'],
+  ['I have contacted my lawyer', 'legal'],
+];
+
+for (const [text, type] of THREATS) {
+  test(`"${text}" is a ${type} threat`, () => {
+    assert.deepStrictEqual(detectThreats(text), [type]);
+  });
+}
+
+for (const text of [
+  'I will not do a chargeback',
+  "I'll never leave a bad review",
+  'I left a 5 star review last month',
+  'Should I contact my bank?',
+  'My lawyer friend loves your drinks',
+  'I saw a bad review of a different brand',
+]) {
+  test(`"${text}" is not a threat`, () => {
+    assert.deepStrictEqual(detectThreats(text), []);
+  });
+}
+
+test('scores complaints, praise and plain questions', () => {
+  assert.strictEqual(keywordSentiment("This is terrible and I'm furious").label, 'angry');
+  assert.strictEqual(keywordSentiment('I love it, thanks!').label, 'positive');
+  assert.strictEqual(keywordSentiment('Where is my order?').label, 'neutral');
+});
+
+test('counts a threat against the score', () => {
+  assert.ok(keywordSentiment("I'm going to file a chargeback").score < 0);
+});